@@ -1,13 +1,23 @@
 // chat.js
 class ChatManager {
-  constructor(socket, chatContainer, messageInput, sendButton) {
+  constructor(socket, chatContainer, messageInput, sendButton, fileTransfer = null, messenger = null) {
     this.socket = socket;
     this.chatContainer = chatContainer;
     this.messageInput = messageInput;
     this.sendButton = sendButton;
+    // Peer-to-peer file transfer; the socket relay is the fallback
+    this.fileTransfer = fileTransfer;
+    this.transferElements = new Map();
+    // Peer-to-peer messages for things too chatty for the server (typing)
+    this.messenger = messenger;
+    this.userName = '';
+    this.typingUsers = new Map();
+    this.lastTypingSent = 0;
     
     this.participants = new Map();
     this.messageHistory = [];
+    // Where to pick up from after a reconnect; survives clearing the chat
+    this.lastMessageId = null;
     this.privateChats = new Map();
     this.isMinimized = false;
     this.unreadCount = 0;
@@ -51,6 +61,27 @@ class ChatManager {
       this.displaySystemMessage(`${data.participantName || 'A participant'} left the room`);
     });
 
+    // Typing indicator, straight to the other peers
+    if (this.messenger) {
+      this.messenger.registerType('chat-typing', {
+        validate: (payload) => typeof payload.name === 'string'
+      });
+
+      this.messenger.on('chat-typing', (payload, { peerId }) => {
+        this.showTyping(peerId, payload.name);
+      });
+
+      this.messageInput.addEventListener('input', () => {
+        this.sendTyping();
+      });
+    }
+
+    if (this.fileTransfer) {
+      this.fileTransfer.onUpdate = (transfer) => {
+        this.updateTransferElement(transfer);
+      };
+    }
+
     // File input for file sharing
     this.setupFileSharing();
   }
@@ -75,6 +106,42 @@ class ChatManager {
     this.messageInput.value = '';
   }
 
+  sendTyping() {
+    const now = Date.now();
+    if (now - this.lastTypingSent < 2000) return;
+
+    this.lastTypingSent = now;
+    this.messenger.broadcast('chat-typing', { name: this.userName });
+  }
+
+  showTyping(peerId, name) {
+    const existing = this.typingUsers.get(peerId);
+    if (existing) clearTimeout(existing.timer);
+
+    const timer = setTimeout(() => {
+      this.typingUsers.delete(peerId);
+      this.updateTypingIndicator();
+    }, 3000);
+
+    this.typingUsers.set(peerId, { name, timer });
+    this.updateTypingIndicator();
+  }
+
+  updateTypingIndicator() {
+    const indicator = document.getElementById('typingIndicator');
+    if (!indicator) return;
+
+    const names = Array.from(this.typingUsers.values(), user => user.name || 'Someone');
+
+    if (names.length === 0) {
+      indicator.textContent = '';
+    } else if (names.length === 1) {
+      indicator.textContent = `${names[0]} is typing...`;
+    } else {
+      indicator.textContent = `${names.length} people are typing...`;
+    }
+  }
+
   handleCommand(command) {
     const [cmd, ...args] = command.slice(1).split(' ');
     
@@ -110,6 +177,7 @@ class ChatManager {
 
   displayMessage(message) {
     this.messageHistory.push(message);
+    this.lastMessageId = message.id;
     
     const messageElement = this.createMessageElement(message);
     this.chatContainer.appendChild(messageElement);
@@ -129,6 +197,19 @@ class ChatManager {
   }
 
   displayFileMessage(fileData) {
+    // Already arriving (or sent by us) over a data channel
+    if (fileData.transferId && this.fileTransfer &&
+        (this.fileTransfer.incoming.has(fileData.transferId) || this.fileTransfer.outgoing.has(fileData.transferId))) {
+      return;
+    }
+
+    // Relayed only for the peers the sender couldn't reach; the rest get it
+    // over a data channel, possibly after this copy
+    if (fileData.recipients && this.fileTransfer &&
+        !fileData.recipients.includes(this.fileTransfer.webrtcClient.localId)) {
+      return;
+    }
+
     const messageElement = this.createFileMessageElement(fileData);
     this.chatContainer.appendChild(messageElement);
     this.scrollToBottom();
@@ -205,6 +286,7 @@ class ChatManager {
     // Create file input
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
+    fileInput.id = 'chatFileInput';
     fileInput.style.display = 'none';
     fileInput.multiple = false;
     fileInput.accept = '*/*';
@@ -233,6 +315,29 @@ class ChatManager {
   }
 
   async shareFile(file) {
+    const { reachable, unreachable } = this.fileTransfer
+      ? this.fileTransfer.getReachablePeers()
+      : { reachable: [], unreachable: [] };
+
+    // Nobody reachable directly: the server relays it to the whole room as before
+    if (reachable.length === 0) {
+      await this.shareFileViaSocket(file);
+      return;
+    }
+
+    const transfer = this.fileTransfer.sendFile(file, reachable);
+
+    if (unreachable.length > 0) {
+      if (file.size > 10 * 1024 * 1024) {
+        this.displaySystemMessage(`${unreachable.length} participant(s) have no direct connection and can't receive files over 10MB`);
+      } else {
+        await this.shareFileViaSocket(file, transfer.id, unreachable);
+      }
+    }
+  }
+
+  // recipients limits the relay to those participants; null is the whole room
+  async shareFileViaSocket(file, transferId = null, recipients = null) {
     if (file.size > 10 * 1024 * 1024) { // 10MB limit
       alert('File size must be less than 10MB');
       return;
@@ -245,7 +350,9 @@ class ChatManager {
         fileName: file.name,
         fileData: fileData,
         fileType: file.type,
-        fileSize: file.size
+        fileSize: file.size,
+        transferId: transferId,
+        recipients: recipients
       });
       
     } catch (error) {
@@ -254,6 +361,76 @@ class ChatManager {
     }
   }
 
+  // Chat entry for a data channel transfer, updated as it progresses
+  updateTransferElement(transfer) {
+    let messageElement = this.transferElements.get(transfer.id);
+
+    if (!messageElement) {
+      messageElement = document.createElement('div');
+      messageElement.className = 'message file-message';
+      messageElement.innerHTML = `
+        <div class="message-header">
+          <div class="sender-info">
+            <span class="sender-name">${this.escapeHtml(transfer.direction === 'outgoing' ? 'You' : transfer.senderName)}</span>
+          </div>
+          <span class="message-time">${this.formatTime(new Date())}</span>
+        </div>
+        <div class="file-content">
+          <div class="file-info">
+            <div class="file-icon">${this.getFileIcon(transfer.mimeType)}</div>
+            <div class="file-details">
+              <div class="file-name">${this.escapeHtml(transfer.name)}</div>
+              <div class="file-size"></div>
+              <div class="transfer-progress"><div class="transfer-progress-bar"></div></div>
+            </div>
+          </div>
+          <button class="download-btn transfer-action"></button>
+        </div>
+      `;
+
+      this.transferElements.set(transfer.id, messageElement);
+      this.chatContainer.appendChild(messageElement);
+      this.scrollToBottom();
+    }
+
+    const percent = transfer.size > 0 ? Math.min(100, Math.round(transfer.bytes / transfer.size * 100)) : 100;
+    const sizeText = messageElement.querySelector('.file-size');
+    const progress = messageElement.querySelector('.transfer-progress');
+    const action = messageElement.querySelector('.transfer-action');
+
+    messageElement.querySelector('.transfer-progress-bar').style.width = `${percent}%`;
+    progress.style.display = transfer.status === 'active' ? 'block' : 'none';
+
+    switch (transfer.status) {
+      case 'active':
+        sizeText.textContent = `${this.formatFileSize(transfer.bytes)} of ${this.formatFileSize(transfer.size)} (${percent}%)`;
+        action.textContent = 'Cancel';
+        action.onclick = () => this.fileTransfer.cancel(transfer.id);
+        break;
+
+      case 'complete':
+        sizeText.textContent = transfer.direction === 'outgoing'
+          ? `${this.formatFileSize(transfer.size)} · ${transfer.error || 'Delivered'}`
+          : `${this.formatFileSize(transfer.size)} · Verified`;
+
+        if (transfer.direction === 'incoming' && transfer.blob) {
+          action.textContent = 'Download';
+          action.onclick = () => {
+            const url = URL.createObjectURL(transfer.blob);
+            this.downloadFile(url, transfer.name);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+          };
+        } else {
+          action.remove();
+        }
+        break;
+
+      default:
+        sizeText.textContent = transfer.error || (transfer.status === 'cancelled' ? 'Cancelled' : 'Transfer failed');
+        action.remove();
+    }
+  }
+
   fileToBase64(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -332,6 +509,18 @@ class ChatManager {
     this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
   }
 
+  // Messages sent while our socket was down never reached us
+  fetchMissedMessages() {
+    this.socket.emit('get-messages', { afterId: this.lastMessageId }, (messages) => {
+      if (!Array.isArray(messages)) return;
+
+      const seen = new Set(this.messageHistory.map(message => message.id));
+      messages
+        .filter(message => !seen.has(message.id))
+        .forEach(message => this.displayMessage(message));
+    });
+  }
+
   clearChat() {
     this.chatContainer.innerHTML = '';
     this.messageHistory = [];
@@ -369,6 +558,11 @@ class ChatManager {
     }
   }
 
+  // After a reconnect: the room as it is now, without announcing old news
+  syncParticipants(participants) {
+    this.participants = new Map(participants.map(participant => [participant.id, participant]));
+  }
+
   addParticipant(participant) {
     this.participants.set(participant.id, participant);
   }
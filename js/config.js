@@ -1,12 +1,26 @@
 // Configuration for WebRTC Virtual Classroom
+
+// Background effects: MediaPipe code, WASM and model, served from our own
+// origin at pinned versions (see "Background Effects" in the README)
+const segmentationAssets = {
+  vision: 'vendor/mediapipe/tasks-vision-0.10.14/vision_bundle.mjs',
+  wasm: 'vendor/mediapipe/tasks-vision-0.10.14/wasm',
+  model: 'vendor/mediapipe/selfie_segmenter-float16-1.tflite'
+};
+
 const config = {
   development: {
     SERVER_URL: 'http://localhost:3001',
-    API_BASE_URL: 'http://localhost:3001/api'
+    API_BASE_URL: 'http://localhost:3001/api',
+    SEGMENTATION_ASSETS: segmentationAssets,
+    // Allows ?sfu=local, the in-page stand-in SFU for testing
+    ALLOW_LOCAL_SFU: true
   },
   production: {
     SERVER_URL: 'https://web-scoketscalable.onrender.com',
-    API_BASE_URL: 'https://web-scoketscalable.onrender.com/api'
+    API_BASE_URL: 'https://web-scoketscalable.onrender.com/api',
+    SEGMENTATION_ASSETS: segmentationAssets,
+    ALLOW_LOCAL_SFU: false
   }
 };
 
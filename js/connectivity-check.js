@@ -0,0 +1,329 @@
+// connectivity-check.js
+class ConnectivityCheck {
+  constructor(options = {}) {
+    this.serverUrl = options.serverUrl;
+    // The running call's configuration if there is one, otherwise fetched like WebRTCClient does
+    this.pcConfig = options.pcConfig || null;
+
+    this.thresholds = {
+      latency: { good: 150, poor: 400 },
+      throughput: { good: 1500000, poor: 500000 },
+      gatherTimeout: 10000,
+      throughputDuration: 5000,
+      throughputBytes: 4 * 1024 * 1024
+    };
+
+    this.results = [];
+    this.startedAt = null;
+  }
+
+  // Runs every check in turn; onResult is called as each one finishes
+  async run(onResult = () => {}) {
+    this.results = [];
+    this.startedAt = new Date();
+
+    const report = (result) => {
+      this.results.push(result);
+      onResult(result);
+    };
+
+    report(await this.checkSignaling());
+    report(await this.checkLatency());
+
+    const { result: iceServersResult, pcConfig } = await this.resolvePcConfig();
+    report(iceServersResult);
+
+    const { result: candidatesResult, candidateTypes } = await this.checkCandidates(pcConfig);
+    report(candidatesResult);
+
+    report(await this.checkThroughput(pcConfig, candidateTypes.relay > 0));
+
+    return this.results;
+  }
+
+  createResult(name, status, detail) {
+    return { name, status, detail };
+  }
+
+  checkSignaling() {
+    return new Promise((resolve) => {
+      const startedAt = performance.now();
+      const socket = io(this.serverUrl, {
+        transports: ['websocket', 'polling'],
+        timeout: 10000,
+        forceNew: true,
+        reconnection: false
+      });
+
+      const finish = (result) => {
+        socket.close();
+        resolve(result);
+      };
+
+      socket.on('connect', () => {
+        const elapsed = Math.round(performance.now() - startedAt);
+        const transport = socket.io.engine.transport.name;
+
+        if (transport === 'websocket') {
+          finish(this.createResult('Signaling server', 'pass', `Connected in ${elapsed} ms over WebSocket`));
+        } else {
+          finish(this.createResult('Signaling server', 'warn',
+            `Connected in ${elapsed} ms, but only over HTTP long-polling (WebSocket blocked?)`));
+        }
+      });
+
+      socket.on('connect_error', (error) => {
+        finish(this.createResult('Signaling server', 'fail',
+          `Could not reach ${this.serverUrl}: ${error.message}`));
+      });
+    });
+  }
+
+  // Any HTTP response will do; the first request also pays for DNS/TLS, so it is skipped
+  async checkLatency() {
+    const samples = [];
+
+    try {
+      for (let i = 0; i < 4; i++) {
+        const startedAt = performance.now();
+        await fetch(this.serverUrl, { method: 'HEAD', mode: 'no-cors', cache: 'no-store' });
+        if (i > 0) samples.push(performance.now() - startedAt);
+      }
+    } catch (error) {
+      return this.createResult('Server latency', 'fail', `Request failed: ${error.message}`);
+    }
+
+    samples.sort((a, b) => a - b);
+    const median = Math.round(samples[Math.floor(samples.length / 2)]);
+    const { good, poor } = this.thresholds.latency;
+
+    if (median <= good) {
+      return this.createResult('Server latency', 'pass', `${median} ms round trip`);
+    }
+    if (median <= poor) {
+      return this.createResult('Server latency', 'warn', `${median} ms round trip, calls may feel delayed`);
+    }
+    return this.createResult('Server latency', 'fail', `${median} ms round trip, too slow for live calls`);
+  }
+
+  async resolvePcConfig() {
+    if (this.pcConfig) {
+      return {
+        pcConfig: this.pcConfig,
+        result: this.describeIceServers(this.pcConfig.iceServers, 'from the current call')
+      };
+    }
+
+    try {
+      const data = await WebRTCClient.fetchIceServers();
+      const pcConfig = { iceServers: data.iceServers };
+      return { pcConfig, result: this.describeIceServers(data.iceServers, 'from the server') };
+    } catch (error) {
+      return {
+        pcConfig: { iceServers: WebRTCClient.getFallbackIceServers() },
+        result: this.createResult('ICE servers', 'warn',
+          `Could not load relay (TURN) credentials (${error.message}); using public STUN only`)
+      };
+    }
+  }
+
+  describeIceServers(iceServers, source) {
+    const urls = iceServers.flatMap(server => [].concat(server.urls));
+    const turnCount = urls.filter(url => /^turns?:/.test(url)).length;
+    const stunCount = urls.filter(url => /^stun:/.test(url)).length;
+
+    if (turnCount === 0) {
+      return this.createResult('ICE servers', 'warn', `${stunCount} STUN, no TURN servers ${source}`);
+    }
+    return this.createResult('ICE servers', 'pass', `${stunCount} STUN, ${turnCount} TURN servers ${source}`);
+  }
+
+  async checkCandidates(pcConfig) {
+    const candidateTypes = { host: 0, srflx: 0, relay: 0 };
+    const hasTurn = pcConfig.iceServers
+      .flatMap(server => [].concat(server.urls))
+      .some(url => /^turns?:/.test(url));
+
+    try {
+      const candidates = await this.gatherCandidates(pcConfig);
+      candidates.forEach(candidate => {
+        if (candidateTypes[candidate.type] !== undefined) {
+          candidateTypes[candidate.type]++;
+        }
+      });
+    } catch (error) {
+      return {
+        candidateTypes,
+        result: this.createResult('Network paths', 'fail', `Candidate gathering failed: ${error.message}`)
+      };
+    }
+
+    const summary = `host ${candidateTypes.host}, srflx ${candidateTypes.srflx}, relay ${candidateTypes.relay}`;
+    let result;
+
+    if (candidateTypes.relay > 0) {
+      result = this.createResult('Network paths', 'pass', `${summary}. Relay available for strict networks`);
+    } else if (candidateTypes.srflx > 0) {
+      result = this.createResult('Network paths', 'warn', hasTurn
+        ? `${summary}. TURN servers configured but unreachable; strict firewalls will block calls`
+        : `${summary}. No relay; participants behind strict firewalls may not connect`);
+    } else {
+      result = this.createResult('Network paths', 'fail',
+        `${summary}. Only local addresses found; UDP is probably blocked`);
+    }
+
+    return { candidateTypes, result };
+  }
+
+  gatherCandidates(pcConfig) {
+    return new Promise((resolve, reject) => {
+      const peerConnection = new RTCPeerConnection(pcConfig);
+      const candidates = [];
+
+      const finish = () => {
+        clearTimeout(timer);
+        peerConnection.close();
+        resolve(candidates);
+      };
+
+      // Some TURN servers never answer; report what we have by then
+      const timer = setTimeout(finish, this.thresholds.gatherTimeout);
+
+      peerConnection.onicecandidate = (event) => {
+        if (event.candidate) {
+          candidates.push(event.candidate);
+        } else {
+          finish();
+        }
+      };
+
+      // Gathering only starts once there is something to negotiate
+      peerConnection.createDataChannel('connectivity-check');
+      peerConnection.createOffer()
+        .then(offer => peerConnection.setLocalDescription(offer))
+        .catch(error => {
+          clearTimeout(timer);
+          peerConnection.close();
+          reject(error);
+        });
+    });
+  }
+
+  // Two connections in this page talking to each other. Forced through the
+  // relay when there is one, so the data really crosses the network.
+  async checkThroughput(pcConfig, useRelay) {
+    const config = useRelay ? { ...pcConfig, iceTransportPolicy: 'relay' } : pcConfig;
+
+    let bitrate;
+    try {
+      bitrate = await this.measureLoopback(config);
+    } catch (error) {
+      return this.createResult('Throughput', 'fail', `Loopback test failed: ${error.message}`);
+    }
+
+    const mbps = (bitrate / 1000000).toFixed(2);
+    const { good, poor } = this.thresholds.throughput;
+
+    if (!useRelay) {
+      return this.createResult('Throughput', 'warn',
+        `${mbps} Mbps on a local loopback only (no relay to test through)`);
+    }
+    if (bitrate >= good) {
+      return this.createResult('Throughput', 'pass', `${mbps} Mbps through the relay`);
+    }
+    if (bitrate >= poor) {
+      return this.createResult('Throughput', 'warn', `${mbps} Mbps through the relay, expect reduced video quality`);
+    }
+    return this.createResult('Throughput', 'fail', `${mbps} Mbps through the relay, audio-only is recommended`);
+  }
+
+  measureLoopback(config) {
+    return new Promise((resolve, reject) => {
+      const sender = new RTCPeerConnection(config);
+      const receiver = new RTCPeerConnection(config);
+      const chunk = new Uint8Array(16 * 1024);
+      let received = 0;
+      let startedAt = null;
+      let done = false;
+
+      const finish = (error) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        sender.close();
+        receiver.close();
+
+        if (error) {
+          reject(error);
+        } else if (!startedAt) {
+          reject(new Error('Could not connect'));
+        } else {
+          resolve(received * 8 / ((performance.now() - startedAt) / 1000));
+        }
+      };
+
+      // Connecting through a relay can take a while; cap the whole test
+      const timer = setTimeout(() => finish(), this.thresholds.gatherTimeout + this.thresholds.throughputDuration);
+
+      sender.onicecandidate = (event) => {
+        if (event.candidate) receiver.addIceCandidate(event.candidate).catch(() => {});
+      };
+      receiver.onicecandidate = (event) => {
+        if (event.candidate) sender.addIceCandidate(event.candidate).catch(() => {});
+      };
+
+      receiver.ondatachannel = (event) => {
+        event.channel.onmessage = (message) => {
+          received += message.data.byteLength || message.data.size || 0;
+          if (received >= this.thresholds.throughputBytes) {
+            finish();
+          }
+        };
+      };
+
+      const channel = sender.createDataChannel('throughput', { ordered: true });
+      channel.binaryType = 'arraybuffer';
+      channel.bufferedAmountLowThreshold = 256 * 1024;
+
+      const pump = () => {
+        // Keep the buffer topped up without flooding it
+        while (!done && channel.readyState === 'open' && channel.bufferedAmount < 1024 * 1024) {
+          channel.send(chunk);
+        }
+      };
+
+      channel.onopen = () => {
+        startedAt = performance.now();
+        setTimeout(() => finish(), this.thresholds.throughputDuration);
+        pump();
+      };
+      channel.onbufferedamountlow = pump;
+
+      sender.createOffer()
+        .then(offer => sender.setLocalDescription(offer))
+        .then(() => receiver.setRemoteDescription(sender.localDescription))
+        .then(() => receiver.createAnswer())
+        .then(answer => receiver.setLocalDescription(answer))
+        .then(() => sender.setRemoteDescription(receiver.localDescription))
+        .catch(finish);
+    });
+  }
+
+  // Plain text for pasting into a support ticket
+  formatReport() {
+    const icons = { pass: 'PASS', warn: 'WARN', fail: 'FAIL' };
+    const lines = [
+      'Virtual Classroom connectivity report',
+      `Time: ${this.startedAt ? this.startedAt.toISOString() : 'not run'}`,
+      `Server: ${this.serverUrl}`,
+      `Browser: ${navigator.userAgent}`,
+      ''
+    ];
+
+    this.results.forEach(result => {
+      lines.push(`[${icons[result.status]}] ${result.name}: ${result.detail}`);
+    });
+
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,113 @@
+// e2ee-worker.js
+// Runs the media encryption for MediaEncryption (see media-encryption.js).
+// Each encoded frame becomes: clear header | AES-GCM ciphertext | 12-byte IV.
+// The header is left readable so a relay can still spot keyframes and
+// packetize, and it is authenticated as additional data so it can't be altered.
+
+const IV_LENGTH = 12;
+// VP8 payload header on keyframes and delta frames; audio frames keep the Opus TOC byte
+const CLEAR_BYTES = { key: 10, delta: 3, audio: 1 };
+
+let key = null;
+
+function getClearBytes(frame) {
+  return CLEAR_BYTES[frame.type] !== undefined ? CLEAR_BYTES[frame.type] : CLEAR_BYTES.audio;
+}
+
+async function encryptFrame(frame, controller) {
+  // Nothing leaves unencrypted, even for a moment before the key arrives
+  if (!key) return;
+
+  const data = new Uint8Array(frame.data);
+  const clearBytes = Math.min(getClearBytes(frame), data.length);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: data.subarray(0, clearBytes) },
+    key,
+    data.subarray(clearBytes)
+  ));
+
+  const output = new Uint8Array(clearBytes + ciphertext.length + IV_LENGTH);
+  output.set(data.subarray(0, clearBytes));
+  output.set(ciphertext, clearBytes);
+  output.set(iv, clearBytes + ciphertext.length);
+
+  frame.data = output.buffer;
+  controller.enqueue(frame);
+}
+
+async function decryptFrame(frame, controller, receiver) {
+  const data = new Uint8Array(frame.data);
+  const clearBytes = Math.min(getClearBytes(frame), data.length);
+
+  try {
+    // 16 bytes is the GCM authentication tag
+    if (!key || data.length < clearBytes + 16 + IV_LENGTH) {
+      throw new Error('Frame is not encrypted');
+    }
+
+    const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: data.subarray(data.length - IV_LENGTH),
+        additionalData: data.subarray(0, clearBytes)
+      },
+      key,
+      data.subarray(clearBytes, data.length - IV_LENGTH)
+    ));
+
+    const output = new Uint8Array(clearBytes + plaintext.length);
+    output.set(data.subarray(0, clearBytes));
+    output.set(plaintext, clearBytes);
+
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+    reportStatus(receiver, true);
+  } catch (error) {
+    // Drop the frame: the decoder would only turn it into noise or artifacts
+    reportStatus(receiver, false);
+  }
+}
+
+// Only changes are posted, not every frame
+function reportStatus(receiver, ok) {
+  if (receiver.ok === ok) return;
+  receiver.ok = ok;
+  self.postMessage({ type: 'decrypt-status', peerId: receiver.peerId, ok });
+}
+
+function attach(readable, writable, { operation, peerId }) {
+  const receiver = { peerId, ok: null };
+  const transform = new TransformStream({
+    transform: operation === 'encrypt'
+      ? encryptFrame
+      : (frame, controller) => decryptFrame(frame, controller, receiver)
+  });
+
+  readable.pipeThrough(transform).pipeTo(writable).catch(error => {
+    console.error(`Error in ${operation} transform for ${peerId}:`, error);
+  });
+}
+
+// RTCRtpScriptTransform hands us the streams directly
+if (self.RTCTransformEvent) {
+  self.onrtctransform = (event) => {
+    const { readable, writable, options } = event.transformer;
+    attach(readable, writable, options);
+  };
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'set-key':
+      key = message.key;
+      break;
+    case 'attach':
+      // Chrome's createEncodedStreams, transferred from the page
+      attach(message.readable, message.writable, message);
+      break;
+  }
+};
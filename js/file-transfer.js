@@ -0,0 +1,432 @@
+// file-transfer.js
+class FileTransferManager {
+  constructor(webrtcClient) {
+    this.webrtcClient = webrtcClient;
+    this.messenger = webrtcClient.messenger;
+    this.senderName = '';
+
+    // 16 KiB chunks are safe across browsers; files are read 1 MiB at a time
+    this.chunkSize = 16 * 1024;
+    this.readSize = 1024 * 1024;
+    // Flow control: stop sending above the high mark, resume below the low mark
+    this.bufferHigh = 1024 * 1024;
+    this.bufferLow = 256 * 1024;
+    // The integrity hash is a SHA-256 over per-block SHA-256 digests, so
+    // neither side has to hold the whole file in memory to compute it
+    this.hashBlockSize = 8 * 1024 * 1024;
+
+    this.outgoing = new Map();
+    // Chunks carry no transfer id, so each peer gets one file at a time:
+    // peerId -> promise for the last transfer queued to it
+    this.peerQueues = new Map();
+    // Incoming transfers by id, plus the one currently streaming from each peer
+    this.incoming = new Map();
+    this.activeIncoming = new Map();
+
+    // Called with the transfer object whenever its progress or status changes
+    this.onUpdate = () => {};
+
+    // Control messages go through the messenger; chunks are raw binary on
+    // the same ordered channel, so they always arrive between start and end
+    this.messenger.registerType('file-start');
+    this.messenger.registerType('file-end');
+    this.messenger.registerType('file-cancel');
+    this.messenger.registerType('file-received');
+
+    this.messenger.on('file-start', (message, { peerId }) => this.handleFileStart(peerId, message));
+    this.messenger.on('file-end', (message, { peerId }) => this.handleFileEnd(peerId, message));
+    this.messenger.on('file-cancel', (message, { peerId }) => this.handleFileCancel(peerId, message));
+    this.messenger.on('file-received', (message, { peerId }) => this.handleFileReceived(peerId, message));
+
+    this.webrtcClient.addDataChannelHandler((peerId, data) => {
+      if (typeof data !== 'string') {
+        this.handleChunk(peerId, data);
+      }
+    });
+
+    this.webrtcClient.socket.on('participant-left', (data) => {
+      this.handlePeerLeft(data.participantId);
+    });
+  }
+
+  // Participants we can reach directly; the rest, including those we have no
+  // connection to yet, need the socket relay
+  getReachablePeers() {
+    const reachable = [];
+    const unreachable = [];
+
+    for (const [peerId] of this.webrtcClient.participantInfo) {
+      if (this.webrtcClient.getOpenDataChannel(peerId)) {
+        reachable.push(peerId);
+      } else {
+        unreachable.push(peerId);
+      }
+    }
+
+    return { reachable, unreachable };
+  }
+
+  createTransferId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+  }
+
+  sendFile(file, peerIds) {
+    const transfer = {
+      id: this.createTransferId(),
+      direction: 'outgoing',
+      name: file.name,
+      size: file.size,
+      mimeType: file.type || 'application/octet-stream',
+      senderName: this.senderName,
+      status: 'active',
+      error: null,
+      bytes: 0,
+      peers: new Map(peerIds.map(peerId => [peerId, { bytes: 0, status: 'active' }])),
+      file
+    };
+
+    this.outgoing.set(transfer.id, transfer);
+    this.onUpdate(transfer);
+
+    // Peers are served in parallel; each is flow-controlled on its own channel
+    Promise.all(peerIds.map(peerId => this.queueForPeer(transfer, peerId)))
+      .then(() => this.finishOutgoing(transfer));
+
+    return transfer;
+  }
+
+  // Starts once everything sent to this peer before it has finished streaming
+  queueForPeer(transfer, peerId) {
+    const previous = this.peerQueues.get(peerId) || Promise.resolve();
+    const queued = previous.then(() => this.sendToPeer(transfer, peerId));
+
+    this.peerQueues.set(peerId, queued);
+    queued.then(() => {
+      if (this.peerQueues.get(peerId) === queued) {
+        this.peerQueues.delete(peerId);
+      }
+    });
+
+    return queued;
+  }
+
+  async sendToPeer(transfer, peerId) {
+    const peer = transfer.peers.get(peerId);
+    // Cancelled while it was waiting in the queue
+    if (peer.status !== 'active') return;
+
+    const channel = this.webrtcClient.getOpenDataChannel(peerId);
+
+    if (!channel) {
+      peer.status = 'failed';
+      return;
+    }
+
+    channel.bufferedAmountLowThreshold = this.bufferLow;
+
+    try {
+      this.messenger.send(peerId, 'file-start', {
+        transferId: transfer.id,
+        name: transfer.name,
+        size: transfer.size,
+        mimeType: transfer.mimeType,
+        senderName: transfer.senderName
+      });
+
+      const hasher = this.createBlockHasher();
+
+      for (let offset = 0; offset < transfer.size; offset += this.readSize) {
+        if (peer.status !== 'active') return;
+
+        const buffer = await transfer.file.slice(offset, offset + this.readSize).arrayBuffer();
+        await hasher.update(buffer);
+
+        for (let start = 0; start < buffer.byteLength; start += this.chunkSize) {
+          if (peer.status !== 'active') return;
+
+          if (channel.bufferedAmount > this.bufferHigh) {
+            await this.waitForBuffer(channel);
+          }
+
+          channel.send(buffer.slice(start, start + this.chunkSize));
+          peer.bytes += Math.min(this.chunkSize, buffer.byteLength - start);
+        }
+
+        this.updateOutgoingProgress(transfer);
+      }
+
+      this.messenger.send(peerId, 'file-end', {
+        transferId: transfer.id,
+        hash: await hasher.digest()
+      });
+
+      // Marked complete when the receiver confirms the hash (file-received)
+      peer.status = 'sent';
+    } catch (error) {
+      console.error(`Error sending file to ${peerId}:`, error);
+      peer.status = 'failed';
+    }
+  }
+
+  waitForBuffer(channel) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        channel.removeEventListener('bufferedamountlow', onLow);
+        channel.removeEventListener('close', onClose);
+      };
+      const onLow = () => {
+        cleanup();
+        resolve();
+      };
+      const onClose = () => {
+        cleanup();
+        reject(new Error('Data channel closed'));
+      };
+
+      channel.addEventListener('bufferedamountlow', onLow);
+      channel.addEventListener('close', onClose);
+    });
+  }
+
+  updateOutgoingProgress(transfer) {
+    let bytes = 0;
+    transfer.peers.forEach(peer => {
+      bytes += peer.bytes;
+    });
+
+    // Progress is the average across receivers
+    transfer.bytes = transfer.peers.size > 0 ? bytes / transfer.peers.size : 0;
+    this.onUpdate(transfer);
+  }
+
+  finishOutgoing(transfer) {
+    if (transfer.status !== 'active') return;
+
+    const peers = Array.from(transfer.peers.values());
+    if (peers.some(peer => peer.status === 'sent')) return;
+
+    const delivered = peers.filter(peer => peer.status === 'complete').length;
+    transfer.status = delivered > 0 ? 'complete' : 'failed';
+    transfer.error = delivered < peers.length
+      ? `Delivered to ${delivered} of ${peers.length} participants`
+      : null;
+    transfer.file = null;
+
+    this.onUpdate(transfer);
+  }
+
+  cancel(transferId) {
+    const transfer = this.outgoing.get(transferId) || this.incoming.get(transferId);
+    if (!transfer || transfer.status !== 'active') return;
+
+    transfer.status = 'cancelled';
+
+    if (transfer.direction === 'outgoing') {
+      transfer.file = null;
+      transfer.peers.forEach((peer, peerId) => {
+        if (peer.status !== 'active' && peer.status !== 'sent') return;
+        peer.status = 'cancelled';
+        this.messenger.send(peerId, 'file-cancel', { transferId });
+      });
+    } else {
+      this.messenger.send(transfer.peerId, 'file-cancel', { transferId });
+      this.releaseIncoming(transfer);
+    }
+
+    this.onUpdate(transfer);
+  }
+
+  handleFileStart(peerId, message) {
+    const transfer = {
+      id: message.transferId,
+      direction: 'incoming',
+      peerId,
+      name: message.name,
+      size: message.size,
+      mimeType: message.mimeType,
+      senderName: message.senderName || 'A participant',
+      status: 'active',
+      error: null,
+      bytes: 0,
+      blob: null,
+      // Received chunks are folded into Blobs block by block so the browser
+      // can move them out of the JS heap
+      blockChunks: [],
+      blockBytes: 0,
+      blocks: [],
+      hasher: this.createBlockHasher(),
+      lastUpdate: 0
+    };
+
+    this.incoming.set(transfer.id, transfer);
+    this.activeIncoming.set(peerId, transfer);
+    this.onUpdate(transfer);
+  }
+
+  // Chunks from a peer always belong to its current transfer (the channel is ordered)
+  handleChunk(peerId, data) {
+    const transfer = this.activeIncoming.get(peerId);
+    if (!transfer || transfer.status !== 'active') return;
+
+    transfer.blockChunks.push(data);
+    transfer.blockBytes += data.byteLength;
+    transfer.bytes += data.byteLength;
+
+    if (transfer.blockBytes >= this.hashBlockSize) {
+      this.flushIncomingBlock(transfer);
+    }
+
+    // Throttle UI updates; there can be thousands of chunks per second
+    const now = Date.now();
+    if (now - transfer.lastUpdate > 200) {
+      transfer.lastUpdate = now;
+      this.onUpdate(transfer);
+    }
+  }
+
+  flushIncomingBlock(transfer) {
+    if (transfer.blockChunks.length === 0) return;
+
+    const blob = new Blob(transfer.blockChunks);
+    transfer.blocks.push(blob);
+    transfer.blockChunks = [];
+    transfer.blockBytes = 0;
+
+    // Hashing is async; queue it so blocks are digested in order
+    transfer.hashing = (transfer.hashing || Promise.resolve())
+      .then(async () => transfer.hasher.update(await blob.arrayBuffer()));
+  }
+
+  async handleFileEnd(peerId, message) {
+    const transfer = this.incoming.get(message.transferId);
+    if (!transfer || transfer.status !== 'active') return;
+
+    this.flushIncomingBlock(transfer);
+    this.activeIncoming.delete(peerId);
+
+    let ok = false;
+    try {
+      await transfer.hashing;
+      const hash = await transfer.hasher.digest();
+      ok = transfer.bytes === transfer.size && hash === message.hash;
+    } catch (error) {
+      console.error('Error verifying received file:', error);
+    }
+
+    if (transfer.status !== 'active') return;
+
+    if (ok) {
+      transfer.status = 'complete';
+      transfer.blob = new Blob(transfer.blocks, { type: transfer.mimeType });
+    } else {
+      transfer.status = 'failed';
+      transfer.error = 'File was corrupted in transit';
+    }
+    transfer.blocks = [];
+
+    this.messenger.send(peerId, 'file-received', { transferId: transfer.id, ok });
+    this.onUpdate(transfer);
+  }
+
+  handleFileCancel(peerId, message) {
+    const incoming = this.incoming.get(message.transferId);
+    if (incoming && incoming.peerId === peerId && incoming.status === 'active') {
+      incoming.status = 'cancelled';
+      incoming.error = 'Cancelled by the sender';
+      this.releaseIncoming(incoming);
+      this.onUpdate(incoming);
+      return;
+    }
+
+    // A receiver opted out; keep sending to everyone else
+    const outgoing = this.outgoing.get(message.transferId);
+    const peer = outgoing && outgoing.peers.get(peerId);
+    if (peer) {
+      peer.status = 'cancelled';
+      this.finishOutgoing(outgoing);
+    }
+  }
+
+  handleFileReceived(peerId, message) {
+    const transfer = this.outgoing.get(message.transferId);
+    const peer = transfer && transfer.peers.get(peerId);
+    if (!peer) return;
+
+    peer.status = message.ok ? 'complete' : 'failed';
+    this.finishOutgoing(transfer);
+  }
+
+  handlePeerLeft(peerId) {
+    const incoming = this.activeIncoming.get(peerId);
+    if (incoming && incoming.status === 'active') {
+      incoming.status = 'failed';
+      incoming.error = 'The sender left before the file finished';
+      this.releaseIncoming(incoming);
+      this.onUpdate(incoming);
+    }
+
+    this.outgoing.forEach(transfer => {
+      const peer = transfer.peers.get(peerId);
+      if (peer && (peer.status === 'active' || peer.status === 'sent')) {
+        peer.status = 'failed';
+        this.finishOutgoing(transfer);
+      }
+    });
+  }
+
+  releaseIncoming(transfer) {
+    transfer.blockChunks = [];
+    transfer.blocks = [];
+    if (this.activeIncoming.get(transfer.peerId) === transfer) {
+      this.activeIncoming.delete(transfer.peerId);
+    }
+  }
+
+  // SHA-256 of the concatenated SHA-256 digests of each hashBlockSize block
+  createBlockHasher() {
+    const blockSize = this.hashBlockSize;
+    const digests = [];
+    let pending = [];
+    let pendingBytes = 0;
+
+    const hashPending = async () => {
+      const block = new Uint8Array(pendingBytes);
+      let offset = 0;
+      pending.forEach(part => {
+        block.set(new Uint8Array(part), offset);
+        offset += part.byteLength;
+      });
+      pending = [];
+      pendingBytes = 0;
+      digests.push(new Uint8Array(await crypto.subtle.digest('SHA-256', block)));
+    };
+
+    return {
+      async update(buffer) {
+        let offset = 0;
+        while (offset < buffer.byteLength) {
+          const take = Math.min(blockSize - pendingBytes, buffer.byteLength - offset);
+          pending.push(buffer.slice(offset, offset + take));
+          pendingBytes += take;
+          offset += take;
+
+          if (pendingBytes === blockSize) {
+            await hashPending();
+          }
+        }
+      },
+
+      async digest() {
+        if (pendingBytes > 0 || digests.length === 0) {
+          await hashPending();
+        }
+
+        const joined = new Uint8Array(digests.length * 32);
+        digests.forEach((digest, index) => joined.set(digest, index * 32));
+
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', joined));
+        return Array.from(hash, byte => byte.toString(16).padStart(2, '0')).join('');
+      }
+    };
+  }
+}
@@ -0,0 +1,203 @@
+// lobby.js
+class PreJoinLobby {
+  constructor(previewVideo, levelMeter) {
+    this.previewVideo = previewVideo;
+    this.levelMeter = levelMeter;
+
+    this.stream = null;
+    this.audioContext = null;
+    this.analyser = null;
+    this.analyserSource = null;
+    this.levelTimer = null;
+    this.testSound = null;
+  }
+
+  // Preview only: WebRTCClient applies the quality presets once it takes over
+  buildConstraints(kind, deviceId) {
+    const constraints = kind === 'video'
+      ? { width: { ideal: 1280 }, height: { ideal: 720 } }
+      : { echoCancellation: true, noiseSuppression: true, autoGainControl: true };
+
+    if (deviceId) {
+      constraints.deviceId = { ideal: deviceId };
+    }
+
+    return constraints;
+  }
+
+  async start({ videoInput, audioInput } = {}) {
+    this.stop();
+
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      video: this.buildConstraints('video', videoInput),
+      audio: this.buildConstraints('audio', audioInput)
+    });
+
+    this.previewVideo.srcObject = this.stream;
+    this.startLevelMeter();
+
+    return this.stream;
+  }
+
+  async switchDevice(kind, deviceId) {
+    if (!this.stream) return null;
+
+    const oldTrack = kind === 'video'
+      ? this.stream.getVideoTracks()[0]
+      : this.stream.getAudioTracks()[0];
+
+    // Phones often can't open a second camera while the first is live
+    if (oldTrack) oldTrack.stop();
+
+    const constraints = this.buildConstraints(kind, null);
+    if (deviceId) {
+      constraints.deviceId = { exact: deviceId };
+    }
+
+    const newStream = await navigator.mediaDevices.getUserMedia({ [kind]: constraints });
+    const newTrack = newStream.getTracks()[0];
+
+    if (oldTrack) {
+      newTrack.enabled = oldTrack.enabled;
+      this.stream.removeTrack(oldTrack);
+    }
+    this.stream.addTrack(newTrack);
+
+    if (kind === 'audio') {
+      this.startLevelMeter();
+    }
+
+    return newTrack;
+  }
+
+  setVideoEnabled(enabled) {
+    const videoTrack = this.stream && this.stream.getVideoTracks()[0];
+    if (videoTrack) {
+      videoTrack.enabled = enabled;
+    }
+  }
+
+  startLevelMeter() {
+    this.stopLevelMeter();
+
+    const audioTrack = this.stream && this.stream.getAudioTracks()[0];
+    if (!audioTrack) return;
+
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 512;
+    this.analyserSource = this.audioContext.createMediaStreamSource(new MediaStream([audioTrack]));
+    this.analyserSource.connect(this.analyser);
+
+    const samples = new Float32Array(this.analyser.fftSize);
+    this.levelTimer = setInterval(() => {
+      this.analyser.getFloatTimeDomainData(samples);
+
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+      }
+      const rms = Math.sqrt(sum / samples.length);
+
+      // Normal speech sits around 0.05-0.2 RMS; scale so it fills most of the bar
+      const level = Math.min(1, rms * 5);
+      this.levelMeter.style.width = `${Math.round(level * 100)}%`;
+    }, 100);
+  }
+
+  stopLevelMeter() {
+    clearInterval(this.levelTimer);
+    this.levelTimer = null;
+
+    if (this.analyserSource) {
+      this.analyserSource.disconnect();
+      this.analyserSource = null;
+    }
+    this.analyser = null;
+
+    if (this.levelMeter) {
+      this.levelMeter.style.width = '0%';
+    }
+  }
+
+  // A short two-note chime, played through the chosen speaker when supported
+  async playTestSound(outputDeviceId) {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    await this.audioContext.resume();
+
+    const destination = this.audioContext.createMediaStreamDestination();
+    const gain = this.audioContext.createGain();
+    gain.connect(destination);
+
+    const now = this.audioContext.currentTime;
+    [659.25, 880].forEach((frequency, index) => {
+      const start = now + index * 0.35;
+      const oscillator = this.audioContext.createOscillator();
+      oscillator.frequency.value = frequency;
+      oscillator.connect(gain);
+
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.3);
+
+      oscillator.start(start);
+      oscillator.stop(start + 0.3);
+    });
+
+    if (this.testSound) {
+      this.testSound.pause();
+    }
+    this.testSound = new Audio();
+    this.testSound.srcObject = destination.stream;
+
+    if (outputDeviceId && typeof this.testSound.setSinkId === 'function') {
+      await this.testSound.setSinkId(outputDeviceId);
+    }
+
+    await this.testSound.play();
+    setTimeout(() => {
+      if (this.testSound) {
+        this.testSound.pause();
+        this.testSound.srcObject = null;
+        this.testSound = null;
+      }
+    }, 1000);
+  }
+
+  // Hand the live camera/mic over to the call instead of opening them again
+  takeStream() {
+    const stream = this.stream;
+    this.stream = null;
+    this.stop();
+    return stream;
+  }
+
+  stop() {
+    this.stopLevelMeter();
+
+    if (this.testSound) {
+      this.testSound.pause();
+      this.testSound.srcObject = null;
+      this.testSound = null;
+    }
+
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+
+    if (this.previewVideo) {
+      this.previewVideo.srcObject = null;
+    }
+  }
+}
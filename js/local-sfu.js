@@ -0,0 +1,163 @@
+// local-sfu.js
+// In-page stand-in for an SFU, for trying SfuTransport and big-room layouts
+// without a media server. It answers the SFU signaling through a fake socket
+// and forwards copies of our own camera as that many simulated participants.
+// Audio is never forwarded, or you'd hear yourself a hundred times over.
+// Its RTCPeerConnection can't receive simulcast, so the client publishes one
+// full-resolution encoding to it and setLayer scales each copy down instead.
+class LocalSfu {
+  constructor(options = {}) {
+    this.participantCount = options.participants || 10;
+    // Simulated network delay on every signaling message
+    this.latency = options.latency || 20;
+
+    this.clientHandlers = new Map();
+    this.peerConnection = null;
+    // participantId -> { sender, track }
+    this.forwarded = new Map();
+  }
+
+  // What SfuTransport uses in place of the room socket
+  createSignaling() {
+    return {
+      on: (event, handler) => {
+        if (!this.clientHandlers.has(event)) {
+          this.clientHandlers.set(event, new Set());
+        }
+        this.clientHandlers.get(event).add(handler);
+      },
+      off: (event, handler) => {
+        const handlers = this.clientHandlers.get(event);
+        if (handlers) handlers.delete(handler);
+      },
+      emit: (event, data) => {
+        setTimeout(() => this.handleClientMessage(event, data), this.latency);
+      }
+    };
+  }
+
+  sendToClient(event, data) {
+    setTimeout(() => {
+      (this.clientHandlers.get(event) || []).forEach(handler => handler(data));
+    }, this.latency);
+  }
+
+  async handleClientMessage(event, data) {
+    try {
+      switch (event) {
+        case 'sfu-offer':
+          await this.handleOffer(data.offer);
+          break;
+        case 'sfu-answer':
+          if (this.peerConnection && this.peerConnection.signalingState === 'have-local-offer') {
+            await this.peerConnection.setRemoteDescription(data.answer);
+          }
+          break;
+        case 'sfu-ice-candidate':
+          if (this.peerConnection && data.candidate) {
+            await this.peerConnection.addIceCandidate(data.candidate);
+          }
+          break;
+        case 'sfu-subscribe':
+          await this.setForwarding(data.participantId, data.video);
+          break;
+        case 'sfu-layer':
+          await this.setLayer(data.participantId, data.layer);
+          break;
+      }
+    } catch (error) {
+      console.error(`Local SFU error handling ${event}:`, error);
+    }
+  }
+
+  createPeerConnection() {
+    this.peerConnection = new RTCPeerConnection();
+
+    this.peerConnection.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.sendToClient('sfu-ice-candidate', { candidate: event.candidate });
+      }
+    };
+
+    this.peerConnection.onnegotiationneeded = () => this.createOffer();
+
+    this.peerConnection.ontrack = (event) => {
+      // Camera first: later video tracks would be a screen share
+      if (event.track.kind === 'video' && this.forwarded.size === 0) {
+        this.forwardAsParticipants(event.track);
+      }
+    };
+  }
+
+  // Impolite side: a colliding offer from the client is ignored, it rolls back
+  async handleOffer(offer) {
+    if (!this.peerConnection) {
+      this.createPeerConnection();
+    }
+    if (this.peerConnection.signalingState !== 'stable') return;
+
+    await this.peerConnection.setRemoteDescription(offer);
+    const answer = await this.peerConnection.createAnswer();
+    await this.peerConnection.setLocalDescription(answer);
+    this.sendToClient('sfu-answer', { answer: this.peerConnection.localDescription });
+  }
+
+  async createOffer() {
+    if (this.peerConnection.signalingState !== 'stable') return;
+
+    const offer = await this.peerConnection.createOffer();
+    await this.peerConnection.setLocalDescription(offer);
+    this.sendToClient('sfu-offer', { offer: this.peerConnection.localDescription, streamType: 'camera' });
+  }
+
+  forwardAsParticipants(track) {
+    const streams = [];
+
+    for (let i = 1; i <= this.participantCount; i++) {
+      const participantId = `local-sfu-${i}`;
+      const stream = new MediaStream();
+      const copy = track.clone();
+      const sender = this.peerConnection.addTrack(copy, stream);
+
+      this.forwarded.set(participantId, { sender, track: copy });
+      streams.push({ streamId: stream.id, participantId, kind: 'camera', name: `Test Student ${i}` });
+    }
+
+    // Announced before the offer that carries the tracks
+    this.sendToClient('sfu-streams', { streams });
+  }
+
+  // Like a real SFU: stop forwarding what the subscriber can't see
+  async setForwarding(participantId, video) {
+    const forwarded = this.forwarded.get(participantId);
+    if (!forwarded) return;
+
+    await forwarded.sender.replaceTrack(video ? forwarded.track : null);
+  }
+
+  // We receive the full-resolution encoding, so scale the copy to the layer
+  async setLayer(participantId, layer) {
+    const forwarded = this.forwarded.get(participantId);
+    if (!forwarded) return;
+
+    const params = forwarded.sender.getParameters();
+    if (!params.encodings || params.encodings.length === 0) return;
+
+    const scale = { low: 4, medium: 2, high: 1 }[layer] || 1;
+    params.encodings.forEach(encoding => {
+      encoding.scaleResolutionDownBy = scale;
+    });
+    await forwarded.sender.setParameters(params);
+  }
+
+  stop() {
+    this.forwarded.forEach(({ track }) => track.stop());
+    this.forwarded.clear();
+
+    if (this.peerConnection) {
+      this.peerConnection.close();
+      this.peerConnection = null;
+    }
+    this.clientHandlers.clear();
+  }
+}
@@ -5,22 +5,44 @@ class VirtualClassroom {
     this.socket = null;
     this.webrtcClient = null;
     this.chatManager = null;
+    this.fileTransfer = null;
+    this.lobby = null;
+    this.connectivityCheck = null;
+    this.reconnection = null;
 
     // State management
     this.currentRoom = null;
     this.currentUser = null;
     this.isHost = false;
     this.participants = new Map();
+    // Participant the host has featured for everyone
+    this.spotlightId = null;
+    // Low bandwidth mode the host has turned on for everyone
+    this.roomLowBandwidth = false;
 
     // UI state
     this.activeTab = 'chat';
     this.isFullscreen = false;
     this.isRecording = false;
+    this.recorder = null;
     this.settings = {
       videoQuality: 'medium',
       audioQuality: 'medium',
-      notifications: true
+      notifications: true,
+      videoInputId: null,
+      audioInputId: null,
+      audioOutputId: null,
+      outputVolume: 1,
+      backgroundEffect: 'none',
+      backgroundImage: null,
+      joinMuted: false,
+      joinCameraOff: false,
+      tilesPerPage: 9,
+      layoutMode: 'gallery',
+      lowBandwidth: false
     };
+    this.pendingBackgroundImage = null;
+    this.lastConnectivityReport = null;
 
     this.init();
   }
@@ -47,7 +69,7 @@ class VirtualClassroom {
     }
   }
 
-  saveSettings() {
+  persistSettings() {
     localStorage.setItem('classroom-settings', JSON.stringify(this.settings));
   }
 
@@ -61,6 +83,38 @@ class VirtualClassroom {
       this.showError(e.detail.message);
     });
 
+    document.addEventListener('screenShareEnded', () => {
+      this.updateScreenButton(false);
+    });
+
+    document.addEventListener('webrtcWarning', (e) => {
+      this.showConnectivityWarning(e.detail.message);
+    });
+
+    document.addEventListener('activeSpeakerChanged', (e) => {
+      this.updateSpeakingParticipant(e.detail.participantId);
+    });
+
+    document.addEventListener('videoGridChanged', (e) => {
+      this.updateGridPager(e.detail);
+    });
+
+    document.addEventListener('networkQualityChanged', (e) => {
+      this.updateNetworkQuality(e.detail.participantId, e.detail.score);
+    });
+
+    document.addEventListener('uplinkAdaptationChanged', (e) => {
+      this.showNotification(e.detail.level > 0
+        ? 'Your connection is struggling, sending lower quality video'
+        : 'Connection recovered, video quality restored', 'info');
+    });
+
+    document.addEventListener('networkQualityAdvice', () => {
+      if (this.webrtcClient && this.webrtcClient.isVideoEnabled && !this.webrtcClient.lowBandwidth) {
+        document.getElementById('networkAdvice').style.display = 'flex';
+      }
+    });
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       this.handleKeyboardShortcuts(e);
@@ -85,6 +139,13 @@ class VirtualClassroom {
     window.addEventListener('resize', () => {
       this.handleResize();
     });
+
+    // Cameras, microphones or headsets plugged in or removed
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => {
+        this.handleDeviceChange();
+      });
+    }
   }
 
   handleKeyboardShortcuts(e) {
@@ -140,13 +201,138 @@ class VirtualClassroom {
   async joinRoom() {
     const roomId = document.getElementById('roomId').value.trim();
     const userName = document.getElementById('userName').value.trim();
-    const userRole = document.getElementById('userRole').value;
 
     if (!roomId || !userName) {
       this.showError('Please enter both room ID and your name');
       return;
     }
 
+    if (document.getElementById('roomPassphrase').value && !MediaEncryption.isSupported()) {
+      this.showError('End-to-end encryption is not supported in this browser. Clear the passphrase or try another browser.');
+      return;
+    }
+
+    await this.showLobby();
+  }
+
+  // Lobby: check camera, mic and speaker before the socket is opened
+  async showLobby() {
+    document.getElementById('joinForm').style.display = 'none';
+    document.getElementById('lobby').style.display = 'flex';
+
+    document.getElementById('lobbyJoinMuted').checked = this.settings.joinMuted;
+    document.getElementById('lobbyCameraOff').checked = this.settings.joinCameraOff;
+    document.getElementById('lobbyError').style.display = 'none';
+
+    this.lobby = new PreJoinLobby(
+      document.getElementById('lobbyPreview'),
+      document.getElementById('lobbyLevel')
+    );
+
+    try {
+      await this.lobby.start({
+        videoInput: this.settings.videoInputId,
+        audioInput: this.settings.audioInputId
+      });
+      this.lobby.setVideoEnabled(!this.settings.joinCameraOff);
+    } catch (error) {
+      console.error('Error starting lobby preview:', error);
+      this.showLobbyError('Could not access your camera or microphone. Check your browser permissions.');
+    }
+
+    this.updateLobbyPreview();
+    await this.refreshLobbyDevices();
+  }
+
+  async refreshLobbyDevices() {
+    const { videoInputs, audioInputs, audioOutputs } = await this.getMediaDevices();
+
+    this.fillDeviceSelect('lobbyCamera', videoInputs, this.settings.videoInputId, 'Camera');
+    this.fillDeviceSelect('lobbyMicrophone', audioInputs, this.settings.audioInputId, 'Microphone');
+    this.fillDeviceSelect('lobbySpeaker', audioOutputs, this.settings.audioOutputId, 'Speaker');
+
+    document.getElementById('lobbySpeakerGroup').style.display =
+      'setSinkId' in HTMLMediaElement.prototype ? 'block' : 'none';
+  }
+
+  async selectLobbyDevice(kind) {
+    const selectId = { video: 'lobbyCamera', audio: 'lobbyMicrophone', output: 'lobbySpeaker' }[kind];
+    const deviceId = document.getElementById(selectId).value || null;
+
+    if (kind === 'output') {
+      this.settings.audioOutputId = deviceId;
+      return;
+    }
+
+    this.settings[kind === 'video' ? 'videoInputId' : 'audioInputId'] = deviceId;
+
+    if (!this.lobby || !this.lobby.stream) return;
+
+    try {
+      await this.lobby.switchDevice(kind, deviceId);
+      document.getElementById('lobbyError').style.display = 'none';
+    } catch (error) {
+      console.error('Error switching lobby device:', error);
+      this.showLobbyError('Could not open the selected device');
+    }
+  }
+
+  async testSpeaker() {
+    if (!this.lobby) return;
+
+    try {
+      await this.lobby.playTestSound(this.settings.audioOutputId);
+    } catch (error) {
+      console.error('Error playing test sound:', error);
+      this.showError('Could not play the test sound');
+    }
+  }
+
+  updateLobbyPreview() {
+    const cameraOff = document.getElementById('lobbyCameraOff').checked;
+    const joinMuted = document.getElementById('lobbyJoinMuted').checked;
+
+    if (this.lobby) {
+      this.lobby.setVideoEnabled(!cameraOff);
+    }
+
+    document.getElementById('lobbyPreview').style.visibility = cameraOff ? 'hidden' : 'visible';
+    document.getElementById('lobbyCameraOffLabel').style.display = cameraOff ? 'flex' : 'none';
+    // The meter keeps running so the mic can still be tested
+    document.getElementById('lobbyMutedHint').style.display = joinMuted ? 'block' : 'none';
+  }
+
+  showLobbyError(message) {
+    const element = document.getElementById('lobbyError');
+    element.textContent = message;
+    element.style.display = 'block';
+  }
+
+  closeLobby() {
+    if (this.lobby) {
+      this.lobby.stop();
+      this.lobby = null;
+    }
+
+    document.getElementById('lobby').style.display = 'none';
+    document.getElementById('joinForm').style.display = 'flex';
+  }
+
+  async enterRoom() {
+    const roomId = document.getElementById('roomId').value.trim();
+    const userName = document.getElementById('userName').value.trim();
+    const userRole = document.getElementById('userRole').value;
+    const passphrase = document.getElementById('roomPassphrase').value;
+
+    this.settings.joinMuted = document.getElementById('lobbyJoinMuted').checked;
+    this.settings.joinCameraOff = document.getElementById('lobbyCameraOff').checked;
+    this.persistSettings();
+
+    const stream = this.lobby ? this.lobby.takeStream() : null;
+    this.lobby = null;
+
+    document.getElementById('lobby').style.display = 'none';
+    document.getElementById('joinForm').style.display = 'flex';
     this.showLoading(true);
 
     try {
@@ -177,23 +363,75 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
 
       this.socket.on('disconnect', (reason) => {
         console.log('Disconnected from server:', reason);
-        this.handleDisconnection(reason);
       });
 
       this.socket.on('connect_error', (error) => {
         console.error('Connection error:', error);
+        // Failed retries while resuming show in the banner instead
+        if (this.reconnection && this.reconnection.isReconnecting) return;
         this.showError('Failed to connect to server. Please try again.');
         this.showLoading(false);
       });
 
+      // Holds our seat in the room through a dropped connection
+      this.reconnection = new ReconnectionManager(this.socket, {
+        onReconnecting: (attempt) => this.showReconnecting(attempt),
+        onResumed: (response) => this.resumeSession(response),
+        onFailed: (reason) => this.handleReconnectFailed(reason)
+      });
+
       // Setup WebRTC client
       const localVideo = document.getElementById('localVideo');
       const remoteVideos = document.getElementById('remoteVideos');
 
       this.webrtcClient = new WebRTCClient(this.socket, localVideo, remoteVideos);
+      this.webrtcClient.setOutputVolume(this.settings.outputVolume);
+      this.webrtcClient.videoGrid.setTilesPerPage(this.settings.tilesPerPage);
+      this.webrtcClient.videoGrid.setLayoutMode(this.settings.layoutMode);
+
+      this.webrtcClient.setPreferredDevices({
+        videoInput: this.settings.videoInputId,
+        audioInput: this.settings.audioInputId,
+        audioOutput: this.settings.audioOutputId
+      });
+      // Stored now, applied by initialize() once the camera is running
+      await this.webrtcClient.setBackgroundEffect({
+        mode: this.settings.backgroundEffect,
+        image: this.settings.backgroundImage
+      });
+      await this.webrtcClient.setQuality({
+        video: this.settings.videoQuality,
+        audio: this.settings.audioQuality
+      });
+
+      // Fetch TURN credentials before any peer connection is created
+      await this.webrtcClient.loadIceServers();
+
+      // Likewise the media key; the passphrase itself is never stored or sent
+      if (passphrase) {
+        await this.webrtcClient.enableEncryption(passphrase, roomId);
+      }
+
+      // ?sfu=local&participants=25 sends media through an in-page stand-in SFU.
+      // Development only, so a shared link can't put a real class on it, and
+      // never with encryption, which the stand-in can't forward.
+      const params = new URLSearchParams(window.location.search);
+      if (params.get('sfu') === 'local' && window.APP_CONFIG.ALLOW_LOCAL_SFU) {
+        if (this.webrtcClient.isEncrypted) {
+          this.showNotification('The local SFU is off because the room is encrypted', 'warning');
+        } else {
+          this.webrtcClient.useLocalSfu(new LocalSfu({
+            participants: parseInt(params.get('participants'), 10) || 10
+          }));
+        }
+      }
 
-      // Initialize WebRTC
-      const initialized = await this.webrtcClient.initialize();
+      // Initialize WebRTC with the lobby's camera/mic and choices
+      const initialized = await this.webrtcClient.initialize({
+        stream,
+        audioEnabled: !this.settings.joinMuted,
+        videoEnabled: !this.settings.joinCameraOff
+      });
       if (!initialized) {
         throw new Error('Failed to access camera/microphone');
       }
@@ -203,7 +441,14 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
       const messageInput = document.getElementById('messageInput');
       const sendButton = document.getElementById('sendButton');
 
-      this.chatManager = new ChatManager(this.socket, chatMessages, messageInput, sendButton);
+      this.fileTransfer = new FileTransferManager(this.webrtcClient);
+      this.fileTransfer.senderName = userName;
+
+      this.chatManager = new ChatManager(
+        this.socket, chatMessages, messageInput, sendButton,
+        this.fileTransfer, this.webrtcClient.messenger
+      );
+      this.chatManager.userName = userName;
 
       // Store user info
       this.currentUser = {
@@ -226,6 +471,10 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
       console.error('Error joining room:', error);
       this.showError('Failed to join room: ' + error.message);
       this.showLoading(false);
+
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
     }
   }
 
@@ -234,8 +483,17 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
 
     if (response.success) {
       this.currentRoom = roomId;
+      this.webrtcClient.participantId = response.participantId || this.socket.id;
+      this.reconnection.start(roomId, this.currentUser, response);
       this.showMainInterface();
       this.updateRoomInfo(roomId);
+      document.getElementById('encryptionBadge').style.display =
+        this.webrtcClient.isEncrypted ? 'inline' : 'none';
+
+      this.updateAudioButton(this.webrtcClient.isAudioEnabled);
+      this.updateVideoButton(this.webrtcClient.isVideoEnabled);
+      this.webrtcClient.announceMediaState();
+      this.updateLowBandwidth();
 
       // Show success message
       this.showNotification('Successfully joined the classroom!', 'success');
@@ -250,12 +508,31 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
       this.updateParticipantsCount(data.participants.length);
       this.updateHostControls();
 
+      // Everyone who was here first, so their tiles get names
+      data.participants.forEach(participant => {
+        if (participant.id !== this.webrtcClient.localId) {
+          this.participants.set(participant.id, participant);
+          this.updateParticipantTile(participant);
+        }
+      });
+      this.updateParticipantsList();
+
+      // A spotlight that was set before we arrived
+      if (data.spotlightParticipantId) {
+        this.applySpotlight(data.spotlightParticipantId);
+      }
+
+      if (data.lowBandwidth) {
+        this.applyRoomLowBandwidth(true);
+      }
+
       // Load chat history is handled by ChatManager
       console.log('Room joined successfully', data);
     });
 
     this.socket.on('participant-joined', (data) => {
       this.participants.set(data.participant.id, data.participant);
+      this.updateParticipantTile(data.participant);
       this.updateParticipantsList();
       this.showNotification(`${data.participant.name} joined the classroom`);
     });
@@ -264,16 +541,32 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
       const participant = this.participants.get(data.participantId);
       const name = participant ? participant.name : 'A participant';
       this.participants.delete(data.participantId);
+      if (this.spotlightId === data.participantId) {
+        this.applySpotlight(null);
+      }
       this.updateParticipantsList();
       this.showNotification(`${name} left the classroom`);
     });
 
     this.socket.on('new-host', (data) => {
-      this.isHost = (data.hostId === this.socket.id);
+      this.isHost = (data.hostId === this.webrtcClient.localId);
+      this.participants.forEach(participant => {
+        participant.isHost = participant.id === data.hostId;
+        this.updateParticipantTile(participant);
+      });
       this.updateHostControls();
+      this.updateParticipantsList();
       this.showNotification('Host has changed', 'info');
     });
 
+    this.socket.on('participant-spotlighted', (data) => {
+      this.applySpotlight(data.participantId || null);
+    });
+
+    this.socket.on('room-low-bandwidth', (data) => {
+      this.applyRoomLowBandwidth(!!data.enabled);
+    });
+
     this.socket.on('kicked', () => {
       this.showError('You have been removed from the classroom');
       this.leaveRoom();
@@ -294,6 +587,16 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
   }
 
   performLeave() {
+    // Save whatever was recorded before the streams are torn down
+    if (this.recorder) {
+      this.stopRecording();
+    }
+
+    if (this.reconnection) {
+      this.reconnection.stop();
+      this.reconnection = null;
+    }
+
     if (this.socket) {
       this.socket.emit('leave-room');
       this.socket.disconnect();
@@ -316,6 +619,8 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
     this.currentRoom = null;
     this.currentUser = null;
     this.isHost = false;
+    this.spotlightId = null;
+    this.roomLowBandwidth = false;
     this.participants.clear();
     this.activeTab = 'chat';
     this.isRecording = false;
@@ -324,32 +629,89 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
     document.getElementById('remoteVideos').innerHTML = '';
     document.getElementById('chatMessages').innerHTML = '';
     document.getElementById('participantsList').innerHTML = '';
+    document.getElementById('connectivityWarning').style.display = 'none';
+    document.getElementById('gridPager').style.display = 'none';
+    document.getElementById('networkAdvice').style.display = 'none';
+    document.getElementById('reconnectBanner').style.display = 'none';
+    document.getElementById('roomLowBandwidthBtn').classList.remove('active');
+    NetworkQualityMonitor.renderBars(document.getElementById('localQuality'), null);
 
     // Reset form
     document.getElementById('roomId').value = '';
     document.getElementById('userName').value = '';
   }
 
-  handleDisconnection(reason) {
-    if (reason === 'io server disconnect') {
-      // Server disconnected us
-      this.showError('Disconnected by server');
-    } else if (reason === 'transport close') {
-      // Connection lost
-      this.showError('Connection lost. Attempting to reconnect...');
+  // The room, chat and calls stay as they are while we try to get back in
+  showReconnecting(attempt) {
+    document.getElementById('reconnectBanner').style.display = 'flex';
+    document.getElementById('reconnectStatus').textContent = attempt > 0
+      ? `Connection to the classroom lost. Reconnecting (attempt ${attempt})...`
+      : 'Connection to the classroom lost. Reconnecting...';
+  }
+
+  // Back in the same seat: catch up on whatever changed while we were away
+  resumeSession(response) {
+    document.getElementById('reconnectBanner').style.display = 'none';
+
+    if (typeof response.isHost === 'boolean') {
+      this.isHost = response.isHost;
+      this.updateHostControls();
     }
 
-    // Don't automatically leave on temporary disconnections
-    setTimeout(() => {
-      if (this.socket && !this.socket.connected) {
-        this.showError('Unable to reconnect. Please rejoin the classroom.');
-        this.performLeave();
+    if (Array.isArray(response.participants)) {
+      this.syncParticipants(response.participants);
+    }
+
+    if ('spotlightParticipantId' in response) {
+      this.applySpotlight(response.spotlightParticipantId || null);
+    }
+    if ('lowBandwidth' in response) {
+      this.applyRoomLowBandwidth(!!response.lowBandwidth);
+    }
+
+    // Toggles made while offline may not have reached the server
+    this.socket.emit('toggle-audio', { hasAudio: this.webrtcClient.isAudioEnabled });
+    this.socket.emit('toggle-video', { hasVideo: this.webrtcClient.isVideoEnabled });
+
+    this.chatManager.fetchMissedMessages();
+    this.updateParticipantsList();
+    this.showNotification('Reconnected to the classroom', 'success');
+  }
+
+  // Brings every module up to the room as it is now. Joins and leaves that
+  // happened while we were away aren't announced one by one.
+  syncParticipants(participants) {
+    const localId = this.webrtcClient.localId;
+    const others = participants.filter(participant => participant.id !== localId);
+    const presentIds = new Set(others.map(participant => participant.id));
+
+    this.participants.forEach((participant, participantId) => {
+      if (!presentIds.has(participantId)) {
+        this.fileTransfer.handlePeerLeft(participantId);
       }
-    }, 10000);
+    });
+
+    this.participants = new Map(others.map(participant => [participant.id, participant]));
+    this.chatManager.syncParticipants(others);
+    this.webrtcClient.resumeConnections(Array.from(presentIds));
+    others.forEach(participant => this.updateParticipantTile(participant));
+
+    this.updateParticipantsCount(others.length + 1);
+  }
+
+  handleReconnectFailed(reason) {
+    document.getElementById('reconnectBanner').style.display = 'none';
+    this.showError(`Unable to reconnect: ${reason}. Please rejoin the classroom.`);
+    this.performLeave();
   }
 
   // Media controls
   async toggleVideo() {
+    if (this.webrtcClient && this.webrtcClient.lowBandwidth) {
+      this.showNotification('Video is off in low bandwidth mode', 'info');
+      return false;
+    }
+
     if (this.webrtcClient) {
       const isEnabled = await this.webrtcClient.toggleVideo();
       this.updateVideoButton(isEnabled);
@@ -376,19 +738,94 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
     return false;
   }
 
-  toggleRecording() {
-    // This is a placeholder for recording functionality
-    this.isRecording = !this.isRecording;
-    this.updateRecordButton(this.isRecording);
+  async toggleRecording() {
+    if (!this.webrtcClient) return false;
 
     if (this.isRecording) {
+      await this.stopRecording();
+      return false;
+    }
+
+    if (!SessionRecorder.isSupported()) {
+      this.showError('Recording is not supported in this browser');
+      return false;
+    }
+
+    try {
+      this.recorder = new SessionRecorder(this.webrtcClient);
+      this.recorder.start();
+      this.isRecording = true;
+      this.updateRecordButton(true);
       this.showNotification('Recording started', 'info');
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      this.recorder = null;
+      this.showError('Failed to start recording');
+    }
+
+    return this.isRecording;
+  }
+
+  async stopRecording() {
+    if (!this.recorder) return;
+
+    const recorder = this.recorder;
+    const roomId = this.currentRoom;
+    this.recorder = null;
+    this.isRecording = false;
+    this.updateRecordButton(false);
+
+    const blob = await recorder.stop();
+    if (blob && blob.size > 0) {
+      this.downloadRecording(blob, roomId, recorder.startedAt);
+      this.showNotification('Recording stopped. Your download will start shortly.', 'success');
     } else {
       this.showNotification('Recording stopped', 'info');
     }
   }
 
+  downloadRecording(blob, roomId, startedAt) {
+    const timestamp = (startedAt || new Date()).toISOString().replace(/[:.]/g, '-');
+    const room = roomId || 'classroom';
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${room}-${timestamp}.webm`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser time to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  setOutputVolume(volume) {
+    this.settings.outputVolume = volume;
+    this.persistSettings();
+
+    if (this.webrtcClient) {
+      this.webrtcClient.setOutputVolume(volume);
+    }
+
+    this.updateOutputVolumeControl();
+  }
+
   // UI Updates
+  updateOutputVolumeControl() {
+    const slider = document.getElementById('outputVolume');
+    const icon = document.getElementById('outputVolumeIcon');
+    const volume = this.settings.outputVolume;
+
+    if (slider) {
+      slider.value = String(Math.round(volume * 100));
+    }
+
+    if (icon) {
+      icon.textContent = volume === 0 ? '🔇' : volume < 0.5 ? '🔉' : '🔊';
+    }
+  }
+
   updateVideoButton(isEnabled) {
     const btn = document.getElementById('videoBtn');
     const icon = btn.querySelector('.btn-icon');
@@ -478,6 +915,73 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
     }
   }
 
+  showConnectivityWarning(message) {
+    this.showNotification(message, 'warning');
+
+    // Keep it visible in the header, a toast is easy to miss
+    const warning = document.getElementById('connectivityWarning');
+    if (warning) {
+      warning.textContent = '⚠️ Limited connectivity';
+      warning.title = message;
+      warning.style.display = 'inline';
+    }
+  }
+
+  // 'local' is our own uplink, shown on our video and our participants entry.
+  // Otherwise it's a connection, which through an SFU carries everyone.
+  updateNetworkQuality(connectionId, score) {
+    const listIds = [];
+    if (connectionId === 'local') {
+      listIds.push('self');
+      NetworkQualityMonitor.renderBars(document.getElementById('localQuality'), score);
+    } else if (this.webrtcClient) {
+      this.participants.forEach((participant, participantId) => {
+        if (this.webrtcClient.transport.getConnectionId(participantId) === connectionId) {
+          listIds.push(participantId);
+        }
+      });
+    }
+
+    listIds.forEach(listId => {
+      const listBars = document.querySelector(`.participant-item[data-participant-id="${listId}"] .quality-bars`);
+      if (listBars) {
+        NetworkQualityMonitor.renderBars(listBars, score);
+      }
+    });
+  }
+
+  async acceptNetworkAdvice() {
+    this.dismissNetworkAdvice();
+    if (!this.settings.lowBandwidth) {
+      await this.toggleLowBandwidth();
+    }
+  }
+
+  dismissNetworkAdvice() {
+    document.getElementById('networkAdvice').style.display = 'none';
+  }
+
+  updateGridPager({ page, pageCount }) {
+    const pager = document.getElementById('gridPager');
+    pager.style.display = pageCount > 1 ? 'flex' : 'none';
+
+    document.getElementById('gridPageLabel').textContent = `Page ${page + 1} of ${pageCount}`;
+    document.getElementById('gridPrevBtn').disabled = page === 0;
+    document.getElementById('gridNextBtn').disabled = page >= pageCount - 1;
+  }
+
+  showPreviousVideoPage() {
+    if (this.webrtcClient) {
+      this.webrtcClient.videoGrid.previousPage();
+    }
+  }
+
+  showNextVideoPage() {
+    if (this.webrtcClient) {
+      this.webrtcClient.videoGrid.nextPage();
+    }
+  }
+
   updateRoomInfo(roomId) {
     const roomElement = document.getElementById('roomName');
     if (roomElement) {
@@ -517,6 +1021,25 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
       const item = this.createParticipantItem(participant);
       container.appendChild(item);
     });
+
+    if (this.webrtcClient) {
+      this.updateSpeakingParticipant(this.webrtcClient.activeSpeakerId);
+    }
+  }
+
+  updateSpeakingParticipant(participantId) {
+    document.querySelectorAll('.participant-item.speaking').forEach(item => {
+      item.classList.remove('speaking');
+    });
+
+    if (!participantId) return;
+
+    // The participants list uses 'self' for the local user
+    const listId = participantId === 'local' ? 'self' : participantId;
+    const item = document.querySelector(`.participant-item[data-participant-id="${listId}"]`);
+    if (item) {
+      item.classList.add('speaking');
+    }
   }
 
   createParticipantItem(participant) {
@@ -539,21 +1062,60 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
         <div class="participant-status">
           <span class="role">${participant.role || 'participant'}</span>
           <span class="connection">🟢 Connected</span>
+          <span class="quality-bars"></span>
+          <span class="speaking-label">🔊 Speaking</span>
         </div>
       </div>
       ${this.createParticipantActions(participant)}
     `;
 
+    if (this.webrtcClient) {
+      const score = participant.isSelf
+        ? this.webrtcClient.networkQuality.getScore('local')
+        : this.webrtcClient.getQualityScore(participant.id);
+      NetworkQualityMonitor.renderBars(item.querySelector('.quality-bars'), score);
+    }
+
     return item;
   }
 
+  // Remote tiles carry the same name, role, crown and avatar as the list
+  updateParticipantTile(participant) {
+    if (!this.webrtcClient) return;
+
+    const info = {
+      name: participant.name,
+      role: participant.role || null,
+      isHost: !!participant.isHost,
+      color: this.getColorFromString(participant.name)
+    };
+
+    // Only set when the server sends it; later toggles reach WebRTCClient directly
+    if (typeof participant.hasAudio === 'boolean') info.hasAudio = participant.hasAudio;
+    if (typeof participant.hasVideo === 'boolean') info.hasVideo = participant.hasVideo;
+
+    this.webrtcClient.setParticipantInfo(participant.id, info);
+  }
+
   createParticipantActions(participant) {
-    if (participant.isSelf || !this.isHost) {
+    if (!this.isHost) {
       return '<div class="participant-actions"></div>';
     }
 
+    const participantId = participant.isSelf ? this.webrtcClient.localId : participant.id;
+    const spotlightButton = `
+        <button class="action-btn spotlight ${this.spotlightId === participantId ? 'active' : ''}"
+          onclick="classroom.toggleSpotlight('${participantId}')" title="Spotlight for everyone">
+          🔦
+        </button>`;
+
+    if (participant.isSelf) {
+      return `<div class="participant-actions">${spotlightButton}</div>`;
+    }
+
     return `
       <div class="participant-actions">
+        ${spotlightButton}
         <button class="action-btn mute" onclick="classroom.muteParticipant('${participant.id}')" title="Mute">
           🔇
         </button>
@@ -593,6 +1155,89 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
     }
   }
 
+  // Spotlight features one participant's tile for everyone in the room
+  toggleSpotlight(participantId) {
+    if (!this.isHost || !this.socket) return;
+
+    this.socket.emit('spotlight-participant', {
+      participantId: this.spotlightId === participantId ? null : participantId
+    });
+  }
+
+  applySpotlight(participantId) {
+    const previousId = this.spotlightId;
+    this.spotlightId = participantId;
+
+    // Our own camera isn't in the grid, so there is nothing to feature locally
+    if (this.webrtcClient) {
+      this.webrtcClient.videoGrid.setSpotlight(participantId === this.webrtcClient.localId ? null : participantId);
+    }
+
+    if (participantId && participantId !== previousId) {
+      const participant = this.participants.get(participantId);
+      if (this.webrtcClient && participantId === this.webrtcClient.localId) {
+        this.showNotification('You are in the spotlight', 'info');
+      } else if (participant) {
+        this.showNotification(`${participant.name} is in the spotlight`, 'info');
+      }
+    }
+
+    if (this.currentUser) {
+      this.updateParticipantsList();
+    }
+  }
+
+  // Low bandwidth mode: our camera off, nobody's camera sent to us, and
+  // screen shares at a few frames a second. On if we or the host say so.
+  async toggleLowBandwidth() {
+    if (this.roomLowBandwidth) {
+      this.showNotification('The host has turned on low bandwidth mode for the room', 'info');
+      return;
+    }
+
+    this.settings.lowBandwidth = !this.settings.lowBandwidth;
+    this.persistSettings();
+    await this.updateLowBandwidth();
+  }
+
+  async updateLowBandwidth() {
+    if (!this.webrtcClient) return;
+
+    const enabled = this.settings.lowBandwidth || this.roomLowBandwidth;
+    await this.webrtcClient.setLowBandwidth(enabled);
+
+    this.updateVideoButton(this.webrtcClient.isVideoEnabled);
+    const btn = document.getElementById('lowBandwidthBtn');
+    btn.classList.toggle('active', enabled);
+    btn.title = enabled ? 'Turn off low bandwidth mode' : 'Low bandwidth mode';
+  }
+
+  toggleRoomLowBandwidth() {
+    if (!this.isHost || !this.socket) return;
+
+    this.socket.emit('set-room-low-bandwidth', { enabled: !this.roomLowBandwidth });
+  }
+
+  async applyRoomLowBandwidth(enabled) {
+    if (this.roomLowBandwidth === enabled) return;
+    this.roomLowBandwidth = enabled;
+    document.getElementById('roomLowBandwidthBtn').classList.toggle('active', enabled);
+
+    await this.updateLowBandwidth();
+    this.showNotification(enabled
+      ? 'The host turned on low bandwidth mode for everyone'
+      : 'The host turned off low bandwidth mode', 'info');
+  }
+
+  setLayoutMode(mode) {
+    this.settings.layoutMode = mode;
+    this.persistSettings();
+
+    if (this.webrtcClient) {
+      this.webrtcClient.videoGrid.setLayoutMode(mode);
+    }
+  }
+
   // Tab management
   switchTab(tabName) {
     // Update active tab
@@ -624,21 +1269,236 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
     // Load current settings
     document.getElementById('videoQuality').value = this.settings.videoQuality;
     document.getElementById('audioQuality').value = this.settings.audioQuality;
+    document.getElementById('tilesPerPage').value = String(this.settings.tilesPerPage);
     document.getElementById('notifications').checked = this.settings.notifications;
+    document.getElementById('backgroundEffect').value = this.settings.backgroundEffect;
+    document.getElementById('backgroundImageInput').value = '';
+    this.pendingBackgroundImage = null;
+    this.updateBackgroundImageControls();
+
+    this.updateQualityInEffect();
+    this.refreshDevicePickers();
+  }
+
+  updateBackgroundImageControls() {
+    const mode = document.getElementById('backgroundEffect').value;
+    document.getElementById('backgroundImageGroup').style.display = mode === 'image' ? 'block' : 'none';
+  }
+
+  async selectBackgroundImage(file) {
+    if (!file || !file.type.startsWith('image/')) {
+      this.showError('Please choose an image file');
+      return;
+    }
+
+    try {
+      this.pendingBackgroundImage = await this.resizeImageFile(file, 1280);
+    } catch (error) {
+      console.error('Error loading background image:', error);
+      this.showError('Could not load that image');
+    }
+  }
+
+  // Downscale so the image fits comfortably in localStorage with the other settings
+  resizeImageFile(file, maxWidth) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+
+      image.onload = () => {
+        const scale = Math.min(1, maxWidth / image.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        URL.revokeObjectURL(url);
+        resolve(canvas.toDataURL('image/jpeg', 0.85));
+      };
+
+      image.onerror = (error) => {
+        URL.revokeObjectURL(url);
+        reject(error);
+      };
+
+      image.src = url;
+    });
+  }
+
+  async getMediaDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return { videoInputs: [], audioInputs: [], audioOutputs: [] };
+    }
+
+    // Chrome lists "default"/"communications" aliases, covered by "System default"
+    const devices = (await navigator.mediaDevices.enumerateDevices())
+      .filter(device => device.deviceId !== 'default' && device.deviceId !== 'communications');
+
+    return {
+      videoInputs: devices.filter(device => device.kind === 'videoinput'),
+      audioInputs: devices.filter(device => device.kind === 'audioinput'),
+      audioOutputs: devices.filter(device => device.kind === 'audiooutput')
+    };
+  }
+
+  async refreshDevicePickers() {
+    const { videoInputs, audioInputs, audioOutputs } = await this.getMediaDevices();
+
+    this.fillDeviceSelect('cameraSelect', videoInputs, this.settings.videoInputId, 'Camera');
+    this.fillDeviceSelect('microphoneSelect', audioInputs, this.settings.audioInputId, 'Microphone');
+    this.fillDeviceSelect('speakerSelect', audioOutputs, this.settings.audioOutputId, 'Speaker');
+
+    // Output selection needs setSinkId (not available in Safari/Firefox by default)
+    const speakerGroup = document.getElementById('speakerSettingGroup');
+    if (speakerGroup) {
+      speakerGroup.style.display = 'setSinkId' in HTMLMediaElement.prototype ? 'block' : 'none';
+    }
+  }
+
+  fillDeviceSelect(selectId, devices, selectedId, fallbackLabel) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    select.innerHTML = '';
+    select.appendChild(new Option('System default', ''));
+
+    devices.forEach((device, index) => {
+      // Labels stay empty until the user has granted media permission
+      select.appendChild(new Option(device.label || `${fallbackLabel} ${index + 1}`, device.deviceId));
+    });
+
+    select.value = devices.some(device => device.deviceId === selectedId) ? selectedId : '';
+  }
+
+  async handleDeviceChange() {
+    await this.refreshDevicePickers();
+
+    if (this.lobby) {
+      await this.refreshLobbyDevices();
+    }
+
+    if (!this.webrtcClient) return;
+
+    // Fall back to the default device if the one in use was unplugged
+    const { videoInputs, audioInputs } = await this.getMediaDevices();
+    const { videoInput, audioInput } = this.webrtcClient.selectedDevices;
+
+    try {
+      if (videoInput && !videoInputs.some(device => device.deviceId === videoInput)) {
+        await this.webrtcClient.switchCamera(null);
+        this.showNotification('Camera disconnected, switched to the default camera', 'warning');
+      }
+
+      if (audioInput && !audioInputs.some(device => device.deviceId === audioInput)) {
+        await this.webrtcClient.switchMicrophone(null);
+        this.showNotification('Microphone disconnected, switched to the default microphone', 'warning');
+      }
+    } catch (error) {
+      console.error('Error switching to default device:', error);
+    }
+  }
+
+  updateQualityInEffect() {
+    const element = document.getElementById('qualityInEffect');
+    if (!element) return;
+
+    if (!this.webrtcClient) {
+      element.textContent = 'Applied when you join a classroom';
+      return;
+    }
+
+    const { videoPreset, audioPreset, video, audio } = this.webrtcClient.getEffectiveQuality();
+    const parts = [];
+
+    if (video && video.width) {
+      parts.push(`Video ${videoPreset}: ${video.width}×${video.height} @ ${Math.round(video.frameRate)} fps`);
+    } else {
+      parts.push(`Video ${videoPreset}`);
+    }
+
+    if (audio && audio.sampleRate) {
+      parts.push(`Audio ${audioPreset}: ${audio.sampleRate / 1000} kHz ${audio.channelCount === 2 ? 'stereo' : 'mono'}`);
+    } else {
+      parts.push(`Audio ${audioPreset}`);
+    }
+
+    element.textContent = `In effect: ${parts.join(' · ')}`;
   }
 
   closeSettings() {
     document.getElementById('settingsModal').style.display = 'none';
   }
 
-  saveSettings() {
+  async saveSettings() {
     this.settings.videoQuality = document.getElementById('videoQuality').value;
     this.settings.audioQuality = document.getElementById('audioQuality').value;
     this.settings.notifications = document.getElementById('notifications').checked;
+    this.settings.tilesPerPage = parseInt(document.getElementById('tilesPerPage').value, 10);
+
+    const previousDevices = {
+      videoInputId: this.settings.videoInputId,
+      audioInputId: this.settings.audioInputId,
+      audioOutputId: this.settings.audioOutputId
+    };
+    this.settings.videoInputId = document.getElementById('cameraSelect').value || null;
+    this.settings.audioInputId = document.getElementById('microphoneSelect').value || null;
+    this.settings.audioOutputId = document.getElementById('speakerSelect').value || null;
+
+    const previousBackground = {
+      mode: this.settings.backgroundEffect,
+      image: this.settings.backgroundImage
+    };
+    this.settings.backgroundEffect = document.getElementById('backgroundEffect').value;
+    if (this.pendingBackgroundImage) {
+      this.settings.backgroundImage = this.pendingBackgroundImage;
+      this.pendingBackgroundImage = null;
+    }
+
+    if (this.settings.backgroundEffect === 'image' && !this.settings.backgroundImage) {
+      this.showError('Choose an image for your virtual background');
+      this.settings.backgroundEffect = previousBackground.mode;
+    }
 
-    this.saveSettings();
+    this.persistSettings();
     this.closeSettings();
 
+    // Apply to the running call without rejoining
+    if (this.webrtcClient) {
+      try {
+        if (this.settings.videoInputId !== previousDevices.videoInputId) {
+          await this.webrtcClient.switchCamera(this.settings.videoInputId);
+        }
+        if (this.settings.audioInputId !== previousDevices.audioInputId) {
+          await this.webrtcClient.switchMicrophone(this.settings.audioInputId);
+        }
+        if (this.settings.audioOutputId !== previousDevices.audioOutputId) {
+          await this.webrtcClient.setAudioOutput(this.settings.audioOutputId);
+        }
+      } catch (error) {
+        console.error('Error switching devices:', error);
+        this.showError('Could not switch to the selected device');
+      }
+
+      await this.webrtcClient.setQuality({
+        video: this.settings.videoQuality,
+        audio: this.settings.audioQuality
+      });
+      this.webrtcClient.videoGrid.setTilesPerPage(this.settings.tilesPerPage);
+
+      if (this.settings.backgroundEffect !== previousBackground.mode ||
+          this.settings.backgroundImage !== previousBackground.image) {
+        try {
+          await this.webrtcClient.setBackgroundEffect({
+            mode: this.settings.backgroundEffect,
+            image: this.settings.backgroundImage
+          });
+        } catch (error) {
+          console.error('Error applying background effect:', error);
+          this.showError('Could not apply the background effect');
+        }
+      }
+    }
+
     this.showNotification('Settings saved', 'success');
   }
 
@@ -651,6 +1511,80 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
     document.getElementById('helpModal').style.display = 'none';
   }
 
+  // Connectivity pre-flight: signaling, ICE and throughput
+  async testConnection() {
+    if (this.connectivityCheck) return;
+
+    const modal = document.getElementById('connectivityModal');
+    const list = document.getElementById('connectivityResults');
+    const status = document.getElementById('connectivityStatus');
+    const copyButton = document.getElementById('copyConnectivityReport');
+
+    modal.style.display = 'flex';
+    list.innerHTML = '';
+    status.textContent = 'Running checks, this takes up to 30 seconds...';
+    copyButton.disabled = true;
+
+    this.connectivityCheck = new ConnectivityCheck({
+      serverUrl: window.APP_CONFIG.SERVER_URL,
+      pcConfig: this.webrtcClient ? this.webrtcClient.pcConfig : null
+    });
+
+    try {
+      const results = await this.connectivityCheck.run((result) => {
+        list.appendChild(this.createConnectivityResultItem(result));
+      });
+
+      const failed = results.filter(result => result.status === 'fail').length;
+      const warned = results.filter(result => result.status === 'warn').length;
+
+      if (failed > 0) {
+        status.textContent = `${failed} check(s) failed. Copy the report and send it to support.`;
+      } else if (warned > 0) {
+        status.textContent = `You can join, but ${warned} check(s) need attention.`;
+      } else {
+        status.textContent = 'All checks passed. You are ready to join.';
+      }
+    } catch (error) {
+      console.error('Error running connectivity check:', error);
+      status.textContent = 'The connection test could not be completed: ' + error.message;
+    }
+
+    this.lastConnectivityReport = this.connectivityCheck.formatReport();
+    this.connectivityCheck = null;
+    copyButton.disabled = false;
+  }
+
+  createConnectivityResultItem(result) {
+    const icons = { pass: '✅', warn: '⚠️', fail: '❌' };
+    const item = document.createElement('li');
+    item.className = `connectivity-result ${result.status}`;
+    item.innerHTML = `
+      <span class="connectivity-icon">${icons[result.status]}</span>
+      <div>
+        <div class="connectivity-name">${this.escapeHtml(result.name)}</div>
+        <div class="connectivity-detail">${this.escapeHtml(result.detail)}</div>
+      </div>
+    `;
+    return item;
+  }
+
+  async copyConnectivityReport() {
+    if (!this.lastConnectivityReport) return;
+
+    try {
+      await navigator.clipboard.writeText(this.lastConnectivityReport);
+      this.showNotification('Report copied to clipboard', 'success');
+    } catch (error) {
+      console.error('Error copying report:', error);
+      this.showError('Could not copy the report');
+    }
+  }
+
+  closeConnectivityCheck() {
+    document.getElementById('connectivityModal').style.display = 'none';
+  }
+
   // Utility functions
   createQuickRoom() {
     const roomId = 'room-' + Math.random().toString(36).substr(2, 8);
@@ -716,6 +1650,8 @@ console.log('🔗 Connecting to backend:', window.APP_CONFIG.SERVER_URL);
   showMainInterface() {
     document.getElementById('joinForm').style.display = 'none';
     document.getElementById('mainContainer').style.display = 'flex';
+    document.getElementById('layoutMode').value = this.settings.layoutMode;
+    this.updateOutputVolumeControl();
   }
 
   showError(message) {
@@ -838,6 +1774,26 @@ function leaveRoom() {
   classroom.leaveRoom();
 }
 
+function enterRoom() {
+  classroom.enterRoom();
+}
+
+function closeLobby() {
+  classroom.closeLobby();
+}
+
+function selectLobbyDevice(kind) {
+  classroom.selectLobbyDevice(kind);
+}
+
+function updateLobbyPreview() {
+  classroom.updateLobbyPreview();
+}
+
+function testSpeaker() {
+  classroom.testSpeaker();
+}
+
 function toggleVideo() {
   classroom.toggleVideo();
 }
@@ -854,6 +1810,38 @@ function toggleRecording() {
   classroom.toggleRecording();
 }
 
+function toggleLowBandwidth() {
+  classroom.toggleLowBandwidth();
+}
+
+function toggleRoomLowBandwidth() {
+  classroom.toggleRoomLowBandwidth();
+}
+
+function acceptNetworkAdvice() {
+  classroom.acceptNetworkAdvice();
+}
+
+function dismissNetworkAdvice() {
+  classroom.dismissNetworkAdvice();
+}
+
+function setLayoutMode(mode) {
+  classroom.setLayoutMode(mode);
+}
+
+function previousVideoPage() {
+  classroom.showPreviousVideoPage();
+}
+
+function nextVideoPage() {
+  classroom.showNextVideoPage();
+}
+
+function setOutputVolume(value) {
+  classroom.setOutputVolume(value / 100);
+}
+
 function toggleWhiteboard() {
   // Placeholder for whiteboard functionality
   classroom.showNotification('Whiteboard feature coming soon!', 'info');
@@ -884,6 +1872,14 @@ function closeSettings() {
   classroom.closeSettings();
 }
 
+function updateBackgroundImageControls() {
+  classroom.updateBackgroundImageControls();
+}
+
+function selectBackgroundImage(input) {
+  classroom.selectBackgroundImage(input.files[0]);
+}
+
 function saveSettings() {
   classroom.saveSettings();
 }
@@ -896,6 +1892,18 @@ function closeHelp() {
   classroom.closeHelp();
 }
 
+function testConnection() {
+  classroom.testConnection();
+}
+
+function copyConnectivityReport() {
+  classroom.copyConnectivityReport();
+}
+
+function closeConnectivityCheck() {
+  classroom.closeConnectivityCheck();
+}
+
 function createQuickRoom() {
   classroom.createQuickRoom();
 }
@@ -948,7 +1956,7 @@ function manageParticipants() {
 
 function uploadFile() {
   // Trigger file input
-  const fileInput = document.querySelector('input[type="file"]');
+  const fileInput = document.getElementById('chatFileInput');
   if (fileInput) {
     fileInput.click();
   }
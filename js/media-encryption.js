@@ -0,0 +1,117 @@
+// media-encryption.js
+class MediaEncryption {
+  constructor(options = {}) {
+    this.workerUrl = options.workerUrl || 'js/e2ee-worker.js';
+    // Called with (peerId, ok) when a peer's media starts or stops decrypting
+    this.onDecryptStatus = options.onDecryptStatus || (() => {});
+
+    // Every client in the room has to derive the same key, so these are fixed
+    this.iterations = 100000;
+    this.saltPrefix = 'virtual-classroom-e2ee:';
+
+    this.worker = null;
+    this.key = null;
+    // createEncodedStreams can only be called once per sender/receiver
+    this.attached = new WeakSet();
+  }
+
+  static isSupported() {
+    const hasTransform = !!window.RTCRtpScriptTransform ||
+      (!!window.RTCRtpSender && 'createEncodedStreams' in RTCRtpSender.prototype);
+    return hasTransform && !!(window.crypto && crypto.subtle) && typeof Worker !== 'undefined';
+  }
+
+  // Chrome's older API has to be switched on for each RTCPeerConnection
+  static usesEncodedStreams() {
+    return !window.RTCRtpScriptTransform;
+  }
+
+  get isEnabled() {
+    return !!this.key;
+  }
+
+  // The passphrase never leaves this page; the room id salts it so the same
+  // passphrase gives a different key in every room
+  async setPassphrase(passphrase, roomId) {
+    const encoder = new TextEncoder();
+    const baseKey = await crypto.subtle.importKey(
+      'raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+
+    this.key = await crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt: encoder.encode(this.saltPrefix + roomId),
+        iterations: this.iterations,
+        hash: 'SHA-256'
+      },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+
+    if (!this.worker) {
+      this.worker = new Worker(this.workerUrl);
+      this.worker.onmessage = (event) => {
+        if (event.data.type === 'decrypt-status') {
+          this.onDecryptStatus(event.data.peerId, event.data.ok);
+        }
+      };
+    }
+
+    this.worker.postMessage({ type: 'set-key', key: this.key });
+  }
+
+  attachSender(sender, peerId) {
+    this.attach(sender, 'encrypt', peerId);
+  }
+
+  attachReceiver(receiver, peerId) {
+    this.attach(receiver, 'decrypt', peerId);
+  }
+
+  attach(endpoint, operation, peerId) {
+    if (!this.worker || this.attached.has(endpoint)) return;
+    this.attached.add(endpoint);
+
+    try {
+      if (window.RTCRtpScriptTransform) {
+        endpoint.transform = new RTCRtpScriptTransform(this.worker, { operation, peerId });
+      } else {
+        const { readable, writable } = endpoint.createEncodedStreams();
+        this.worker.postMessage({ type: 'attach', operation, peerId, readable, writable }, [readable, writable]);
+      }
+    } catch (error) {
+      console.error(`Error attaching ${operation} transform for ${peerId}:`, error);
+    }
+  }
+
+  // The worker leaves the VP8 header readable; other codecs put it elsewhere
+  preferVp8(transceiver) {
+    if (typeof transceiver.setCodecPreferences !== 'function' || !window.RTCRtpReceiver.getCapabilities) return;
+
+    const capabilities = RTCRtpReceiver.getCapabilities('video');
+    if (!capabilities) return;
+
+    const isVp8 = (codec) => codec.mimeType.toLowerCase() === 'video/vp8';
+    const codecs = [
+      ...capabilities.codecs.filter(isVp8),
+      ...capabilities.codecs.filter(codec => !isVp8(codec))
+    ];
+
+    try {
+      transceiver.setCodecPreferences(codecs);
+    } catch (error) {
+      console.warn('Could not prefer VP8 for encrypted video:', error);
+    }
+  }
+
+  stop() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.key = null;
+  }
+}
@@ -0,0 +1,105 @@
+// mesh-transport.js
+// Transports decide which RTCPeerConnections WebRTCClient opens and how
+// their signaling travels; WebRTCClient does the negotiation itself.
+// Mesh: one connection per participant, signaled through the room socket.
+class MeshTransport {
+  constructor(webrtcClient) {
+    this.webrtcClient = webrtcClient;
+    this.socket = webrtcClient.socket;
+    this.name = 'mesh';
+    // Peers are browsers, so the data channel (messenger, file transfer) works
+    this.usesDataChannels = true;
+    // ...but they can only receive one encoding of each track
+    this.usesSimulcast = false;
+
+    this.handlers = {
+      offer: (data) => this.webrtcClient.handleOffer(data),
+      answer: (data) => this.webrtcClient.handleAnswer(data),
+      'ice-candidate': (data) => this.webrtcClient.handleIceCandidate(data)
+    };
+  }
+
+  start() {
+    Object.entries(this.handlers).forEach(([event, handler]) => this.socket.on(event, handler));
+  }
+
+  stop() {
+    Object.entries(this.handlers).forEach(([event, handler]) => this.socket.off(event, handler));
+  }
+
+  // Whoever is already in the room calls the newcomer
+  async handleParticipantJoined(participant) {
+    await this.webrtcClient.createPeerConnection(participant.id);
+  }
+
+  handleParticipantLeft(participantId) {
+    this.webrtcClient.closePeerConnection(participantId);
+  }
+
+  sendSignal(type, peerId, payload) {
+    this.socket.emit(type, { targetId: peerId, ...payload });
+  }
+
+  // Exactly one side of each pair is polite
+  isPolite(peerId) {
+    return this.webrtcClient.localId > peerId;
+  }
+
+  // After a reconnect: call anyone whose connection was closed while we were away
+  restoreConnections(participantIds) {
+    participantIds.forEach(participantId => {
+      if (!this.webrtcClient.peerConnections.has(participantId)) {
+        this.webrtcClient.createPeerConnection(participantId);
+      }
+    });
+  }
+
+  // Everything on a mesh connection comes from that participant
+  routeTrack(peerId, event) {
+    const stream = event.streams[0];
+    if (!stream) return;
+
+    this.webrtcClient.attachDecryption(event.receiver, peerId);
+
+    if (this.webrtcClient.isRemoteScreenStream(peerId, stream)) {
+      this.webrtcClient.handleRemoteScreenStream(peerId, stream);
+    } else {
+      this.webrtcClient.handleRemoteStream(peerId, stream);
+    }
+  }
+
+  // The sender switches its encoder for us off
+  requestVideo(participantId, wanted) {
+    this.webrtcClient.messenger.send(participantId, 'video-pause', { paused: !wanted });
+  }
+
+  // The sender re-encodes its one stream for us at that size
+  requestLayer(participantId, layer) {
+    this.webrtcClient.messenger.send(participantId, 'video-layer', { layer });
+  }
+
+  setLowBandwidth(enabled) {
+    this.webrtcClient.messenger.broadcast('low-bandwidth', { enabled });
+  }
+
+  // The connection is the participant's tile
+  setReconnecting(peerId, isReconnecting) {
+    this.webrtcClient.setRemoteTileReconnecting(peerId, isReconnecting);
+  }
+
+  // ICE restarts ran out: the participant is unreachable until one of us reconnects
+  handleConnectionFailed(peerId) {
+    this.webrtcClient.closePeerConnection(peerId);
+    this.webrtcClient.removeRemoteVideo(peerId);
+  }
+
+  // Every connection is to someone in the room
+  isParticipantConnection() {
+    return true;
+  }
+
+  // Which connection's quality score describes this participant's video
+  getConnectionId(participantId) {
+    return participantId;
+  }
+}
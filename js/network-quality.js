@@ -0,0 +1,207 @@
+// network-quality.js
+class NetworkQualityMonitor {
+  constructor(webrtcClient, options = {}) {
+    this.webrtcClient = webrtcClient;
+    this.interval = options.interval || 2000;
+    // Called with (connectionId, score): a participant in mesh, 'sfu' through
+    // an SFU, or 'local' for our own uplink
+    this.onQualityChange = options.onQualityChange || (() => {});
+    // Called with the new uplink adaptation level (0 = full quality)
+    this.onAdaptationChange = options.onAdaptationChange || (() => {});
+
+    // Each metric costs a point per limit it passes: 5 is excellent, 1 is unusable
+    this.thresholds = {
+      packetLoss: [1, 3, 6, 12],
+      rtt: [150, 300, 500, 1000],
+      jitter: [30, 60, 100, 200]
+    };
+
+    // Samples in a row before stepping the uplink down or back up.
+    // Recovering takes longer so we don't flap on a borderline link.
+    this.adaptation = {
+      poorScore: 2,
+      goodScore: 4,
+      downgradeAfter: 3,
+      upgradeAfter: 5,
+      maxLevel: 2
+    };
+    this.level = 0;
+    this.poorSamples = 0;
+    this.goodSamples = 0;
+    this.audioOnlySuggested = false;
+
+    // participantId -> recent raw scores, averaged so one bad sample doesn't show
+    this.history = new Map();
+    this.scores = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.sample(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getScore(participantId) {
+    return this.scores.get(participantId) || null;
+  }
+
+  async sample() {
+    const uplinkScores = [];
+
+    for (const [peerId] of this.webrtcClient.peerConnections) {
+      let stats;
+      try {
+        stats = await this.webrtcClient.getConnectionStats(peerId);
+      } catch (error) {
+        console.error('Error reading connection stats:', error);
+        continue;
+      }
+      if (!stats || stats.connectionState !== 'connected') continue;
+
+      this.record(peerId, this.scoreDownlink(stats));
+
+      const uplinkScore = this.scoreUplink(stats);
+      if (uplinkScore !== null) {
+        uplinkScores.push(uplinkScore);
+      }
+    }
+
+    if (uplinkScores.length === 0) return;
+
+    // One peer on a bad network shouldn't count against our own uplink
+    uplinkScores.sort((a, b) => a - b);
+    this.record('local', uplinkScores[Math.floor(uplinkScores.length / 2)]);
+    this.adapt(this.scores.get('local'));
+  }
+
+  record(participantId, score) {
+    const history = this.history.get(participantId) || [];
+    history.push(score);
+    if (history.length > 3) history.shift();
+    this.history.set(participantId, history);
+
+    const average = Math.round(history.reduce((sum, value) => sum + value, 0) / history.length);
+    if (this.scores.get(participantId) === average) return;
+
+    this.scores.set(participantId, average);
+    this.onQualityChange(participantId, average);
+
+    document.dispatchEvent(new CustomEvent('networkQualityChanged', {
+      detail: { participantId, score: average }
+    }));
+  }
+
+  scoreMetric(value, limits) {
+    if (value === null || value === undefined) return 5;
+    return 5 - limits.filter(limit => value > limit).length;
+  }
+
+  scoreMedia(media, rtt) {
+    const loss = Math.max(
+      media.audio ? media.audio.packetLoss : 0,
+      media.video ? media.video.packetLoss : 0
+    );
+    const jitter = Math.max(
+      media.audio && media.audio.jitter !== null ? media.audio.jitter : 0,
+      media.video && media.video.jitter !== null ? media.video.jitter : 0
+    );
+
+    return Math.min(
+      this.scoreMetric(loss, this.thresholds.packetLoss),
+      this.scoreMetric(rtt, this.thresholds.rtt),
+      this.scoreMetric(jitter, this.thresholds.jitter)
+    );
+  }
+
+  // What we receive from the peer
+  scoreDownlink(stats) {
+    return this.scoreMedia(stats.inbound, stats.rtt);
+  }
+
+  // What the peer reports back about what we send
+  scoreUplink(stats) {
+    if (!stats.outbound.audio && !stats.outbound.video) return null;
+
+    let score = this.scoreMedia(stats.outbound, stats.rtt);
+
+    // The encoder backing off for bandwidth shows up before loss does
+    if (stats.outbound.video && stats.outbound.video.limitation === 'bandwidth') {
+      score = Math.max(1, score - 1);
+    }
+
+    return score;
+  }
+
+  adapt(score) {
+    const { poorScore, goodScore, downgradeAfter, upgradeAfter, maxLevel } = this.adaptation;
+
+    this.poorSamples = score <= poorScore ? this.poorSamples + 1 : 0;
+    this.goodSamples = score >= goodScore ? this.goodSamples + 1 : 0;
+
+    if (this.poorSamples >= downgradeAfter) {
+      this.poorSamples = 0;
+
+      if (this.level < maxLevel) {
+        this.setLevel(this.level + 1);
+      } else if (score <= 1 && !this.audioOnlySuggested) {
+        // Already sending as little video as we can
+        this.audioOnlySuggested = true;
+        document.dispatchEvent(new CustomEvent('networkQualityAdvice', {
+          detail: { suggestion: 'audio-only', score }
+        }));
+      }
+    }
+
+    if (this.goodSamples >= upgradeAfter) {
+      this.goodSamples = 0;
+      this.audioOnlySuggested = false;
+
+      if (this.level > 0) {
+        this.setLevel(this.level - 1);
+      }
+    }
+  }
+
+  setLevel(level) {
+    this.level = level;
+    this.onAdaptationChange(level);
+  }
+
+  // Participants that left are dropped from the scores
+  forget(participantId) {
+    this.history.delete(participantId);
+    this.scores.delete(participantId);
+  }
+
+  reset() {
+    this.stop();
+    this.history.clear();
+    this.scores.clear();
+    this.level = 0;
+    this.poorSamples = 0;
+    this.goodSamples = 0;
+    this.audioOnlySuggested = false;
+  }
+
+  // Five bars, filled up to the score; used on tiles and in the participants list
+  static renderBars(element, score) {
+    if (element.children.length === 0) {
+      for (let i = 1; i <= 5; i++) {
+        const bar = document.createElement('span');
+        bar.style.height = `${i * 20}%`;
+        element.appendChild(bar);
+      }
+    }
+
+    element.dataset.score = score || '';
+    element.title = score ? `Connection quality: ${score}/5` : 'Connection quality: measuring';
+    Array.from(element.children).forEach((bar, index) => {
+      bar.classList.toggle('active', !!score && index < score);
+    });
+  }
+}
@@ -0,0 +1,236 @@
+// peer-messenger.js
+class PeerMessenger {
+  constructor(webrtcClient) {
+    this.webrtcClient = webrtcClient;
+
+    // Every envelope carries this marker and version so other JSON on the
+    // channel is never mistaken for a message
+    this.protocol = 'pm';
+    this.version = 1;
+    this.defaultTimeout = 10000;
+
+    // type -> { validate }
+    this.types = new Map();
+    // type -> Set of handlers
+    this.handlers = new Map();
+    // id -> { peerId, resolve, reject, timer } for requests and acked sends
+    this.pending = new Map();
+    this.nextId = 1;
+
+    this.webrtcClient.addDataChannelHandler((peerId, data) => {
+      if (typeof data === 'string') {
+        this.handleData(peerId, data);
+      }
+    });
+  }
+
+  // Only registered types are sent or delivered; validate(payload) is optional
+  registerType(type, options = {}) {
+    this.types.set(type, { validate: options.validate || null });
+  }
+
+  // Handlers get (payload, { peerId, envelope }); for requests their return
+  // value (or resolved promise) is sent back as the response
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  createEnvelope(kind, type, payload, extra = {}) {
+    return {
+      [this.protocol]: this.version,
+      id: `${Date.now().toString(36)}-${this.nextId++}`,
+      kind,
+      type,
+      payload,
+      ...extra
+    };
+  }
+
+  sendEnvelope(peerId, envelope) {
+    const channel = this.webrtcClient.getOpenDataChannel(peerId);
+    if (!channel) return false;
+
+    try {
+      channel.send(JSON.stringify(envelope));
+      return true;
+    } catch (error) {
+      console.error(`Error sending ${envelope.type} to ${peerId}:`, error);
+      return false;
+    }
+  }
+
+  assertRegistered(type) {
+    if (!this.types.has(type)) {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+  }
+
+  // Fire and forget; with { ack: true } returns a promise that resolves once
+  // the peer has received it
+  send(peerId, type, payload = {}, options = {}) {
+    this.assertRegistered(type);
+
+    const envelope = this.createEnvelope('message', type, payload, options.ack ? { ack: true } : {});
+
+    if (!options.ack) {
+      return this.sendEnvelope(peerId, envelope);
+    }
+
+    return this.waitForReply(peerId, envelope, options.timeout);
+  }
+
+  // Resolves with the payload the peer's handler returned
+  request(peerId, type, payload = {}, options = {}) {
+    this.assertRegistered(type);
+
+    const envelope = this.createEnvelope('request', type, payload);
+    return this.waitForReply(peerId, envelope, options.timeout);
+  }
+
+  // Returns the peers it was sent to
+  broadcast(type, payload = {}) {
+    this.assertRegistered(type);
+
+    const envelope = this.createEnvelope('message', type, payload);
+    const sentTo = [];
+
+    for (const [peerId] of this.webrtcClient.peerConnections) {
+      if (this.sendEnvelope(peerId, envelope)) {
+        sentTo.push(peerId);
+      }
+    }
+
+    return sentTo;
+  }
+
+  waitForReply(peerId, envelope, timeout = this.defaultTimeout) {
+    return new Promise((resolve, reject) => {
+      if (!this.sendEnvelope(peerId, envelope)) {
+        reject(new Error(`No open data channel to ${peerId}`));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        this.pending.delete(envelope.id);
+        reject(new Error(`${envelope.type} to ${peerId} timed out`));
+      }, timeout);
+
+      this.pending.set(envelope.id, { peerId, resolve, reject, timer });
+    });
+  }
+
+  handleData(peerId, data) {
+    let envelope;
+    try {
+      envelope = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (!envelope || envelope[this.protocol] !== this.version) return;
+
+    switch (envelope.kind) {
+      case 'message':
+      case 'request':
+        this.handleIncoming(peerId, envelope);
+        break;
+      case 'ack':
+      case 'response':
+        this.handleReply(peerId, envelope);
+        break;
+    }
+  }
+
+  async handleIncoming(peerId, envelope) {
+    const type = this.types.get(envelope.type);
+    const isRequest = envelope.kind === 'request';
+
+    if (!type) {
+      console.warn(`Dropping unknown message type from ${peerId}:`, envelope.type);
+      if (isRequest) this.reply(peerId, envelope, null, 'Unknown message type');
+      return;
+    }
+
+    if (type.validate && !type.validate(envelope.payload)) {
+      console.warn(`Dropping invalid ${envelope.type} message from ${peerId}`);
+      if (isRequest) this.reply(peerId, envelope, null, 'Invalid payload');
+      return;
+    }
+
+    if (envelope.ack) {
+      this.sendEnvelope(peerId, this.createEnvelope('ack', envelope.type, null, { replyTo: envelope.id }));
+    }
+
+    const handlers = Array.from(this.handlers.get(envelope.type) || []);
+    const context = { peerId, envelope };
+
+    if (!isRequest) {
+      handlers.forEach(handler => {
+        try {
+          handler(envelope.payload, context);
+        } catch (error) {
+          console.error(`Error handling ${envelope.type} message:`, error);
+        }
+      });
+      return;
+    }
+
+    // A request is answered by its first handler
+    if (handlers.length === 0) {
+      this.reply(peerId, envelope, null, 'No handler');
+      return;
+    }
+
+    try {
+      const result = await handlers[0](envelope.payload, context);
+      this.reply(peerId, envelope, result === undefined ? null : result);
+    } catch (error) {
+      console.error(`Error handling ${envelope.type} request:`, error);
+      this.reply(peerId, envelope, null, error.message);
+    }
+  }
+
+  reply(peerId, request, payload, error = null) {
+    this.sendEnvelope(peerId, this.createEnvelope('response', request.type, payload, {
+      replyTo: request.id,
+      error
+    }));
+  }
+
+  handleReply(peerId, envelope) {
+    const pending = this.pending.get(envelope.replyTo);
+    if (!pending || pending.peerId !== peerId) return;
+
+    clearTimeout(pending.timer);
+    this.pending.delete(envelope.replyTo);
+
+    if (envelope.error) {
+      pending.reject(new Error(envelope.error));
+    } else {
+      pending.resolve(envelope.payload);
+    }
+  }
+
+  // Fail everything still waiting on a peer that went away
+  handlePeerClosed(peerId) {
+    this.pending.forEach((pending, id) => {
+      if (pending.peerId !== peerId) return;
+
+      clearTimeout(pending.timer);
+      this.pending.delete(id);
+      pending.reject(new Error(`Connection to ${peerId} closed`));
+    });
+  }
+}
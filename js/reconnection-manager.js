@@ -0,0 +1,98 @@
+// reconnection-manager.js
+// Keeps our seat in the room across a dropped socket. The server hands out a
+// session token on join-room and holds the seat while we're gone; sending the
+// token back with the next join-room resumes it as the same participant.
+class ReconnectionManager {
+  constructor(socket, options = {}) {
+    this.socket = socket;
+    // Give up after this long without the room; the server should hold the seat as long
+    this.maxDowntime = options.maxDowntime || 60000;
+    // Called with the reconnect attempt number (0 right after the drop)
+    this.onReconnecting = options.onReconnecting || (() => {});
+    // Called with the join-room response once the seat is back
+    this.onResumed = options.onResumed || (() => {});
+    // Called with a reason once we've given up
+    this.onFailed = options.onFailed || (() => {});
+
+    // { roomId, userData, token }
+    this.session = null;
+    this.isReconnecting = false;
+    this.giveUpTimer = null;
+
+    // Only a lost connection is resumed. The server closing it (a kick, a ban)
+    // and us leaving are final.
+    this.resumableReasons = new Set(['transport close', 'transport error', 'ping timeout']);
+
+    this.handlers = {
+      disconnect: (reason) => this.handleDisconnect(reason),
+      connect: () => this.handleConnect()
+    };
+    this.handleReconnectAttempt = (attempt) => {
+      if (this.isReconnecting) this.onReconnecting(attempt);
+    };
+  }
+
+  start(roomId, userData, response) {
+    this.stop();
+    this.session = { roomId, userData, token: response.sessionToken || null };
+
+    Object.entries(this.handlers).forEach(([event, handler]) => this.socket.on(event, handler));
+    this.socket.io.on('reconnect_attempt', this.handleReconnectAttempt);
+  }
+
+  stop() {
+    Object.entries(this.handlers).forEach(([event, handler]) => this.socket.off(event, handler));
+    this.socket.io.off('reconnect_attempt', this.handleReconnectAttempt);
+
+    clearTimeout(this.giveUpTimer);
+    this.giveUpTimer = null;
+    this.isReconnecting = false;
+    this.session = null;
+  }
+
+  handleDisconnect(reason) {
+    if (!this.session || reason === 'io client disconnect') return;
+
+    if (!this.resumableReasons.has(reason)) {
+      this.fail(reason === 'io server disconnect' ? 'disconnected by the server' : reason);
+      return;
+    }
+
+    // A drop during the resume itself keeps the original deadline
+    if (!this.isReconnecting) {
+      this.isReconnecting = true;
+      this.giveUpTimer = setTimeout(() => {
+        this.fail('the server could not be reached');
+      }, this.maxDowntime);
+      this.onReconnecting(0);
+    }
+  }
+
+  handleConnect() {
+    if (!this.isReconnecting) return;
+
+    const { roomId, userData, token } = this.session;
+    this.socket.emit('join-room', { roomId, userData, sessionToken: token }, (response) => {
+      if (!this.isReconnecting) return;
+
+      if (!response || !response.success) {
+        this.fail(response && response.error ? response.error : 'the room could not be rejoined');
+        return;
+      }
+
+      clearTimeout(this.giveUpTimer);
+      this.giveUpTimer = null;
+      this.isReconnecting = false;
+      if (response.sessionToken) {
+        this.session.token = response.sessionToken;
+      }
+
+      this.onResumed(response);
+    });
+  }
+
+  fail(reason) {
+    this.stop();
+    this.onFailed(reason);
+  }
+}
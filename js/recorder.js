@@ -0,0 +1,252 @@
+// recorder.js
+class SessionRecorder {
+  constructor(webrtcClient, options = {}) {
+    this.webrtcClient = webrtcClient;
+    this.width = options.width || 1280;
+    this.height = options.height || 720;
+    this.frameRate = options.frameRate || 30;
+
+    this.canvas = null;
+    this.context = null;
+    this.audioContext = null;
+    this.audioDestination = null;
+    this.mediaRecorder = null;
+    this.recordedChunks = [];
+    this.drawTimer = null;
+
+    // Sources currently mixed into the recording, keyed by stream id
+    this.videoSources = new Map();
+    this.audioSources = new Map();
+
+    this.isRecording = false;
+    this.startedAt = null;
+  }
+
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  getMimeType() {
+    const types = [
+      'video/webm;codecs=vp9,opus',
+      'video/webm;codecs=vp8,opus',
+      'video/webm'
+    ];
+
+    return types.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  start() {
+    if (this.isRecording) return;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.context = this.canvas.getContext('2d');
+
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.audioDestination = this.audioContext.createMediaStreamDestination();
+
+    this.syncSources();
+
+    const recordingStream = new MediaStream([
+      ...this.canvas.captureStream(this.frameRate).getVideoTracks(),
+      ...this.audioDestination.stream.getAudioTracks()
+    ]);
+
+    const mimeType = this.getMimeType();
+    this.mediaRecorder = new MediaRecorder(recordingStream, mimeType ? { mimeType } : undefined);
+    this.recordedChunks = [];
+
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        this.recordedChunks.push(event.data);
+      }
+    };
+
+    // Collect data every second so a crash doesn't lose the whole session
+    this.mediaRecorder.start(1000);
+
+    // Timers keep drawing while the tab is in the background, unlike requestAnimationFrame
+    this.drawTimer = setInterval(() => {
+      this.syncSources();
+      this.drawFrame();
+    }, 1000 / this.frameRate);
+
+    this.isRecording = true;
+    this.startedAt = new Date();
+    // Off-page cameras are paused to save bandwidth; the recording needs them
+    this.webrtcClient.setRecording(true);
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.isRecording || !this.mediaRecorder) {
+        resolve(null);
+        return;
+      }
+
+      this.mediaRecorder.onstop = () => {
+        const blob = new Blob(this.recordedChunks, {
+          type: this.mediaRecorder.mimeType || 'video/webm'
+        });
+        this.cleanup();
+        resolve(blob);
+      };
+
+      clearInterval(this.drawTimer);
+      this.drawTimer = null;
+      this.isRecording = false;
+      this.webrtcClient.setRecording(false);
+      this.mediaRecorder.stop();
+    });
+  }
+
+  cleanup() {
+    this.videoSources.forEach(source => {
+      source.video.srcObject = null;
+    });
+    this.videoSources.clear();
+
+    this.audioSources.forEach(source => source.disconnect());
+    this.audioSources.clear();
+
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+
+    this.mediaRecorder = null;
+    this.recordedChunks = [];
+    this.canvas = null;
+    this.context = null;
+  }
+
+  // participantId is null for our own camera
+  getStreams() {
+    const streams = [];
+
+    if (this.webrtcClient.localStream) {
+      streams.push({ stream: this.webrtcClient.localStream, participantId: null, isCamera: true });
+    }
+
+    this.webrtcClient.remoteStreams.forEach((stream, participantId) => {
+      streams.push({ stream, participantId, isCamera: true });
+    });
+
+    this.webrtcClient.remoteScreenStreams.forEach((stream, participantId) => {
+      streams.push({ stream, participantId, isCamera: false });
+    });
+
+    return streams;
+  }
+
+  // Add sources for streams that appeared and drop the ones that went away
+  syncSources() {
+    const streams = this.getStreams();
+    const activeIds = new Set(streams.map(({ stream }) => stream.id));
+
+    streams.forEach(({ stream, participantId, isCamera }) => {
+      if (!this.videoSources.has(stream.id)) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = stream;
+        video.play().catch(() => {});
+        this.videoSources.set(stream.id, { stream, video, participantId, isCamera });
+      }
+
+      if (!this.audioSources.has(stream.id) && stream.getAudioTracks().length > 0) {
+        const source = this.audioContext.createMediaStreamSource(stream);
+        source.connect(this.audioDestination);
+        this.audioSources.set(stream.id, source);
+      }
+    });
+
+    this.videoSources.forEach((source, id) => {
+      if (!activeIds.has(id)) {
+        source.video.srcObject = null;
+        this.videoSources.delete(id);
+      }
+    });
+
+    this.audioSources.forEach((source, id) => {
+      if (!activeIds.has(id)) {
+        source.disconnect();
+        this.audioSources.delete(id);
+      }
+    });
+  }
+
+  drawFrame() {
+    const ctx = this.context;
+    const sources = Array.from(this.videoSources.values());
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    if (sources.length === 0) return;
+
+    const columns = Math.ceil(Math.sqrt(sources.length));
+    const rows = Math.ceil(sources.length / columns);
+    const cellWidth = this.width / columns;
+    const cellHeight = this.height / rows;
+
+    sources.forEach((source, index) => {
+      const { video } = source;
+      const x = (index % columns) * cellWidth;
+      const y = Math.floor(index / columns) * cellHeight;
+
+      // A paused or switched-off camera would only record black frames
+      if (source.isCamera && this.isCameraOff(source)) {
+        this.drawAvatar(source, x, y, cellWidth, cellHeight);
+        return;
+      }
+
+      if (video.readyState < 2 || !video.videoWidth) return;
+
+      // Letterbox each stream into its cell, keeping the aspect ratio
+      const scale = Math.min(cellWidth / video.videoWidth, cellHeight / video.videoHeight);
+      const drawWidth = video.videoWidth * scale;
+      const drawHeight = video.videoHeight * scale;
+
+      ctx.drawImage(
+        video,
+        x + (cellWidth - drawWidth) / 2,
+        y + (cellHeight - drawHeight) / 2,
+        drawWidth,
+        drawHeight
+      );
+    });
+  }
+
+  // Off for everyone, or just not sent to us (off-page, low bandwidth mode)
+  isCameraOff(source) {
+    const tracks = source.stream.getVideoTracks();
+    if (!tracks.some(track => track.enabled && track.readyState === 'live')) return true;
+
+    return source.participantId !== null &&
+      !this.webrtcClient.getParticipantInfo(source.participantId).hasVideo;
+  }
+
+  // The same initial in a coloured circle as the video tiles
+  drawAvatar(source, x, y, width, height) {
+    const ctx = this.context;
+    const info = source.participantId !== null
+      ? this.webrtcClient.getParticipantInfo(source.participantId)
+      : { name: 'You', color: '#666' };
+    const radius = Math.min(width, height) / 6;
+
+    ctx.fillStyle = info.color;
+    ctx.beginPath();
+    ctx.arc(x + width / 2, y + height / 2, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#fff';
+    ctx.font = `600 ${Math.round(radius)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(info.name.charAt(0).toUpperCase(), x + width / 2, y + height / 2);
+  }
+}
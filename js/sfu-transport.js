@@ -0,0 +1,170 @@
+// sfu-transport.js
+// SFU: a single connection to a selective forwarding unit, which receives our
+// tracks once and forwards everyone else's. Uplink cost no longer grows with
+// the class. The SFU is a peer called 'sfu' as far as WebRTCClient is concerned.
+//
+// Signaling (both directions unless noted):
+//   sfu-offer { offer, streamType }, sfu-answer { answer }, sfu-ice-candidate { candidate }
+//   sfu-streams { streams: [{ streamId, participantId, kind: 'camera'|'screen', name? }] } (SFU → client)
+//   sfu-subscribe { participantId, video } (client → SFU)
+//   sfu-layer { participantId, layer: 'low'|'medium'|'high' } (client → SFU)
+//   sfu-low-bandwidth { enabled } (client → SFU: no cameras, screen shares at a low framerate)
+class SfuTransport {
+  constructor(webrtcClient, options = {}) {
+    this.webrtcClient = webrtcClient;
+    this.name = 'sfu';
+    this.peerId = 'sfu';
+    // Data channels would end at the SFU: files go through the socket relay
+    // and messenger-only extras like typing indicators are skipped
+    this.usesDataChannels = false;
+    // We publish every layer once; the SFU picks one per subscriber
+    this.usesSimulcast = true;
+
+    // The room socket, or an in-page stand-in (see local-sfu.js)
+    this.signaling = options.signaling || webrtcClient.socket;
+
+    // streamId -> { participantId, kind }, announced before the tracks arrive
+    this.streams = new Map();
+    // Tracks that beat their sfu-streams announcement: streamId -> [events]
+    this.pendingTracks = new Map();
+
+    const fromSfu = (data) => ({ ...data, fromId: this.peerId });
+    this.handlers = {
+      'sfu-offer': (data) => this.webrtcClient.handleOffer(fromSfu(data)),
+      'sfu-answer': (data) => this.webrtcClient.handleAnswer(fromSfu(data)),
+      'sfu-ice-candidate': (data) => this.webrtcClient.handleIceCandidate(fromSfu(data)),
+      'sfu-streams': (data) => this.handleStreams(data.streams || [])
+    };
+  }
+
+  async start() {
+    Object.entries(this.handlers).forEach(([event, handler]) => this.signaling.on(event, handler));
+
+    // Publishing our tracks fires negotiationneeded, which sends the first offer
+    await this.webrtcClient.createPeerConnection(this.peerId);
+  }
+
+  stop() {
+    Object.entries(this.handlers).forEach(([event, handler]) => this.signaling.off(event, handler));
+    this.webrtcClient.closePeerConnection(this.peerId);
+    this.streams.clear();
+    this.pendingTracks.clear();
+  }
+
+  // After a reconnect: the SFU connection is all we need
+  restoreConnections() {
+    if (!this.webrtcClient.peerConnections.has(this.peerId)) {
+      this.webrtcClient.createPeerConnection(this.peerId);
+    }
+  }
+
+  // The SFU adds the newcomer's tracks to our connection by itself
+  handleParticipantJoined() {}
+
+  handleParticipantLeft(participantId) {
+    this.streams.forEach((entry, streamId) => {
+      if (entry.participantId === participantId) {
+        this.streams.delete(streamId);
+      }
+    });
+  }
+
+  sendSignal(type, peerId, payload) {
+    this.signaling.emit(`sfu-${type}`, payload);
+  }
+
+  // The SFU never backs down on an offer collision, so we always do
+  isPolite() {
+    return true;
+  }
+
+  routeTrack(peerId, event) {
+    const stream = event.streams[0];
+    if (!stream) return;
+
+    const entry = this.streams.get(stream.id);
+    if (!entry) {
+      const pending = this.pendingTracks.get(stream.id) || [];
+      pending.push(event);
+      this.pendingTracks.set(stream.id, pending);
+      return;
+    }
+
+    this.webrtcClient.attachDecryption(event.receiver, entry.participantId);
+
+    if (entry.kind === 'screen') {
+      this.webrtcClient.handleRemoteScreenStream(entry.participantId, stream);
+    } else {
+      this.webrtcClient.handleRemoteStream(entry.participantId, stream);
+    }
+  }
+
+  handleStreams(streams) {
+    streams.forEach(({ streamId, participantId, kind, name }) => {
+      this.streams.set(streamId, { participantId, kind: kind === 'screen' ? 'screen' : 'camera' });
+
+      if (name) {
+        this.webrtcClient.setParticipantInfo(participantId, { name });
+      }
+
+      const pending = this.pendingTracks.get(streamId);
+      if (pending) {
+        this.pendingTracks.delete(streamId);
+        pending.forEach(event => this.routeTrack(this.peerId, event));
+      }
+    });
+  }
+
+  // The SFU stops forwarding to us; the sender keeps publishing for everyone else
+  requestVideo(participantId, wanted) {
+    this.signaling.emit('sfu-subscribe', { participantId, video: wanted });
+  }
+
+  requestLayer(participantId, layer) {
+    this.signaling.emit('sfu-layer', { participantId, layer });
+  }
+
+  setLowBandwidth(enabled) {
+    this.signaling.emit('sfu-low-bandwidth', { enabled });
+  }
+
+  getParticipantIds() {
+    return new Set(Array.from(this.streams.values()).map(entry => entry.participantId));
+  }
+
+  // Every participant arrives over the one connection, so all their tiles are affected
+  setReconnecting(peerId, isReconnecting) {
+    this.getParticipantIds().forEach(participantId => {
+      this.webrtcClient.setRemoteTileReconnecting(participantId, isReconnecting);
+    });
+  }
+
+  // ICE restarts ran out: without this connection we see nobody, so start
+  // over with a fresh one. The SFU announces and forwards everything again.
+  async handleConnectionFailed() {
+    console.log('Lost the SFU connection, connecting again');
+    const participantIds = this.getParticipantIds();
+
+    this.stop();
+    participantIds.forEach(participantId => {
+      this.webrtcClient.removeRemoteVideo(participantId);
+      this.webrtcClient.requestedLayers.delete(participantId);
+    });
+
+    try {
+      await this.start();
+    } catch (error) {
+      console.error('Error restarting SFU connection:', error);
+    }
+  }
+
+  // The SFU connection isn't anyone in the room
+  isParticipantConnection(peerId) {
+    return peerId !== this.peerId;
+  }
+
+  // Everything arrives over the one connection
+  getConnectionId() {
+    return this.peerId;
+  }
+}
@@ -0,0 +1,285 @@
+// video-grid.js
+class VideoGrid {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.tilesPerPage = options.tilesPerPage || 9;
+    // Small tiles under the featured one in speaker view / pin / spotlight
+    this.filmstripSize = options.filmstripSize || 6;
+    this.aspectRatio = options.aspectRatio || 16 / 9;
+    // Below this width the stylesheet's single-column layout takes over
+    this.mobileBreakpoint = options.mobileBreakpoint || 768;
+    // Called with (peerId, isVisible) when a camera tile enters or leaves the page
+    this.onTileVisibilityChange = options.onTileVisibilityChange || (() => {});
+    // Called after every layout, once tile sizes are final
+    this.onLayout = options.onLayout || (() => {});
+
+    this.currentPage = 0;
+    this.pageCount = 1;
+
+    // 'gallery' is the equal grid; 'speaker' features one tile over a filmstrip.
+    // A pin (local) or spotlight (host, for everyone) features a tile in either mode.
+    this.layoutMode = 'gallery';
+    this.pinnedTileId = null;
+    this.spotlightPeerId = null;
+    this.activeSpeakerId = null;
+
+    // peerId -> whether its camera tile is on the current page
+    this.peerVisibility = new Map();
+    this.layoutScheduled = false;
+
+    // Tiles are added and removed all over WebRTCClient; watching the
+    // container keeps paging in sync without hooking every call site
+    this.observer = new MutationObserver(() => this.scheduleLayout());
+    this.observer.observe(this.container, { childList: true });
+
+    this.handleResize = () => this.scheduleLayout();
+    window.addEventListener('resize', this.handleResize);
+  }
+
+  getTiles() {
+    return Array.from(this.container.children).filter(element =>
+      element.classList.contains('remote-video-container')
+    );
+  }
+
+  setLayoutMode(mode) {
+    this.layoutMode = mode === 'speaker' ? 'speaker' : 'gallery';
+    this.currentPage = 0;
+    this.layout();
+  }
+
+  // Tile element ids, so a camera and a screen share can be pinned separately
+  togglePin(tileId) {
+    this.setPinnedTile(this.pinnedTileId === tileId ? null : tileId);
+  }
+
+  setPinnedTile(tileId) {
+    this.pinnedTileId = tileId;
+    this.currentPage = 0;
+    this.layout();
+  }
+
+  setSpotlight(peerId) {
+    this.spotlightPeerId = peerId;
+    this.currentPage = 0;
+    this.layout();
+  }
+
+  setActiveSpeaker(peerId) {
+    this.activeSpeakerId = peerId;
+
+    // Only speaker view follows the active speaker
+    if (this.layoutMode === 'speaker' && !this.pinnedTileId && !this.spotlightPeerId) {
+      this.scheduleLayout();
+    }
+  }
+
+  getFeaturedTile(tiles) {
+    const byPeer = (peerId) =>
+      tiles.find(tile => tile.id === `screen-container-${peerId}`) ||
+      tiles.find(tile => tile.id === `video-container-${peerId}`);
+
+    // Spotlight wins, and prefers what the participant is presenting
+    if (this.spotlightPeerId) {
+      const tile = byPeer(this.spotlightPeerId);
+      if (tile) return tile;
+    }
+
+    if (this.pinnedTileId) {
+      const tile = tiles.find(tile => tile.id === this.pinnedTileId);
+      if (tile) return tile;
+    }
+
+    if (this.layoutMode !== 'speaker' || tiles.length === 0) return null;
+
+    return tiles.find(tile => tile.classList.contains('screen-share')) ||
+      (this.activeSpeakerId && tiles.find(tile => tile.id === `video-container-${this.activeSpeakerId}`)) ||
+      tiles[0];
+  }
+
+  setTilesPerPage(count) {
+    const firstVisible = this.currentPage * this.tilesPerPage;
+    this.tilesPerPage = Math.max(1, count);
+    // Stay on the page that holds the tile that was first on screen
+    this.currentPage = Math.floor(firstVisible / this.tilesPerPage);
+    this.layout();
+  }
+
+  showPage(page) {
+    this.currentPage = page;
+    this.layout();
+  }
+
+  nextPage() {
+    if (this.currentPage < this.pageCount - 1) {
+      this.showPage(this.currentPage + 1);
+    }
+  }
+
+  previousPage() {
+    this.showPage(this.currentPage - 1);
+  }
+
+  scheduleLayout() {
+    if (this.layoutScheduled) return;
+    this.layoutScheduled = true;
+
+    requestAnimationFrame(() => {
+      this.layoutScheduled = false;
+      this.layout();
+    });
+  }
+
+  layout() {
+    const tiles = this.getTiles();
+    const featured = this.getFeaturedTile(tiles);
+    // With a featured tile, the rest page through the filmstrip
+    const others = featured ? tiles.filter(tile => tile !== featured) : tiles;
+    const perPage = featured ? this.filmstripSize : this.tilesPerPage;
+
+    this.pageCount = Math.max(1, Math.ceil(others.length / perPage));
+    this.currentPage = Math.min(Math.max(0, this.currentPage), this.pageCount - 1);
+
+    const start = this.currentPage * perPage;
+    const pageTiles = others.slice(start, start + perPage);
+    const visible = new Set(featured ? [featured, ...pageTiles] : pageTiles);
+    const visibility = new Map();
+
+    tiles.forEach(tile => {
+      const isVisible = visible.has(tile);
+      tile.style.display = isVisible ? '' : 'none';
+      tile.classList.toggle('featured', tile === featured);
+      tile.classList.toggle('pinned', tile.id === this.pinnedTileId);
+      tile.classList.toggle('spotlighted', !!this.spotlightPeerId && tile.dataset.peerId === this.spotlightPeerId);
+
+      if (tile.dataset.peerId && !tile.classList.contains('screen-share')) {
+        visibility.set(tile.dataset.peerId, isVisible);
+      }
+    });
+
+    this.container.classList.toggle('featured-layout', !!featured);
+
+    if (featured) {
+      this.sizeFeatured(featured, pageTiles);
+    } else {
+      this.sizeGrid(pageTiles);
+    }
+    this.updateVisibility(visibility);
+    this.onLayout();
+
+    document.dispatchEvent(new CustomEvent('videoGridChanged', {
+      detail: {
+        page: this.currentPage,
+        pageCount: this.pageCount,
+        tileCount: tiles.length,
+        layoutMode: this.layoutMode,
+        featuredTileId: featured ? featured.id : null
+      }
+    }));
+  }
+
+  resetTileSize(tile) {
+    tile.style.gridColumn = '';
+    tile.style.order = '';
+    tile.style.height = '';
+  }
+
+  // Featured tile across the top, filmstrip row underneath
+  sizeFeatured(featured, filmstripTiles) {
+    this.getTiles().forEach(tile => this.resetTileSize(tile));
+
+    const columns = Math.max(1, Math.min(this.filmstripSize, filmstripTiles.length));
+    this.container.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+
+    featured.style.gridColumn = '1 / -1';
+    featured.style.order = '-1';
+
+    filmstripTiles.forEach(tile => {
+      tile.style.gridColumn = 'auto';
+    });
+
+    // Fill the height that the filmstrip leaves over
+    if (window.innerWidth > this.mobileBreakpoint) {
+      const styles = getComputedStyle(this.container);
+      const gap = parseFloat(styles.rowGap) || 0;
+      const padding = parseFloat(styles.paddingTop) + parseFloat(styles.paddingBottom);
+      const filmstripHeight = filmstripTiles.length > 0
+        ? (this.container.clientWidth / columns) / this.aspectRatio + gap
+        : 0;
+
+      featured.style.height = `${Math.max(200, this.container.clientHeight - padding - filmstripHeight)}px`;
+    }
+  }
+
+  // Pick the column count that gives the largest tiles for the space we have
+  sizeGrid(pageTiles) {
+    this.getTiles().forEach(tile => this.resetTileSize(tile));
+
+    const isMobile = window.innerWidth <= this.mobileBreakpoint;
+    // Screen shares take two cells
+    const slots = pageTiles.reduce((count, tile) =>
+      count + (tile.classList.contains('screen-share') ? 2 : 1), 0);
+
+    if (isMobile || slots === 0) {
+      this.container.style.gridTemplateColumns = '';
+      return;
+    }
+
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+    let bestColumns = 1;
+    let bestTileWidth = 0;
+
+    for (let columns = 1; columns <= slots; columns++) {
+      const rows = Math.ceil(slots / columns);
+      const tileWidth = Math.min(width / columns, (height / rows) * this.aspectRatio);
+      if (tileWidth > bestTileWidth) {
+        bestTileWidth = tileWidth;
+        bestColumns = columns;
+      }
+    }
+
+    this.container.style.gridTemplateColumns = `repeat(${bestColumns}, 1fr)`;
+
+    // A double-width tile in a single column would add a phantom column
+    pageTiles.forEach(tile => {
+      if (tile.classList.contains('screen-share')) {
+        tile.style.gridColumn = bestColumns >= 2 ? 'span 2' : 'auto';
+      }
+    });
+  }
+
+  // New tiles report their first state only if they start off-page, since
+  // video flows by default; tiles that went away are just forgotten
+  updateVisibility(visibility) {
+    visibility.forEach((isVisible, peerId) => {
+      const wasVisible = this.peerVisibility.has(peerId) ? this.peerVisibility.get(peerId) : true;
+      if (isVisible !== wasVisible) {
+        this.onTileVisibilityChange(peerId, isVisible);
+      }
+    });
+
+    this.peerVisibility = visibility;
+  }
+
+  // Tiles that went away can't stay pinned or featured
+  handlePeerLeft(peerId) {
+    if (this.pinnedTileId && this.pinnedTileId.endsWith(`-${peerId}`)) {
+      this.pinnedTileId = null;
+    }
+    if (this.activeSpeakerId === peerId) {
+      this.activeSpeakerId = null;
+    }
+    this.scheduleLayout();
+  }
+
+  isPeerVisible(peerId) {
+    return this.peerVisibility.get(peerId) !== false;
+  }
+
+  destroy() {
+    this.observer.disconnect();
+    window.removeEventListener('resize', this.handleResize);
+    this.peerVisibility.clear();
+  }
+}
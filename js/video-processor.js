@@ -0,0 +1,234 @@
+// video-processor.js
+class VideoProcessor {
+  constructor(options = {}) {
+    // MediaPipe person segmentation, run on the CPU (WASM) delegate.
+    // Paths are resolved against the page, not this script.
+    const assets = { ...window.APP_CONFIG.SEGMENTATION_ASSETS, ...options.assets };
+    this.assets = {};
+    Object.entries(assets).forEach(([name, path]) => {
+      this.assets[name] = new URL(path, document.baseURI).href;
+    });
+
+    this.frameRate = options.frameRate || 24;
+    // Segmentation and blur run on a downscaled copy to keep CPU usage low
+    this.maskWidth = options.maskWidth || 256;
+    this.blurWidth = options.blurWidth || 160;
+
+    this.segmenter = null;
+    this.effect = { mode: 'none', image: null };
+    this.backgroundImage = null;
+
+    this.sourceTrack = null;
+    this.sourceVideo = null;
+    this.outputCanvas = null;
+    this.outputContext = null;
+    this.outputTrack = null;
+    this.frameTimer = null;
+
+    this.maskCanvas = document.createElement('canvas');
+    this.maskContext = this.maskCanvas.getContext('2d');
+    this.smallCanvas = document.createElement('canvas');
+    this.smallContext = this.smallCanvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  static isSupported() {
+    return typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+      typeof WebAssembly === 'object';
+  }
+
+  async loadSegmenter() {
+    if (this.segmenter) return;
+
+    const vision = await import(this.assets.vision);
+    const fileset = await vision.FilesetResolver.forVisionTasks(this.assets.wasm);
+
+    this.segmenter = await vision.ImageSegmenter.createFromOptions(fileset, {
+      baseOptions: {
+        modelAssetPath: this.assets.model,
+        delegate: 'CPU'
+      },
+      runningMode: 'VIDEO',
+      outputCategoryMask: false,
+      outputConfidenceMasks: true
+    });
+  }
+
+  async setEffect(effect) {
+    const mode = effect.mode || 'none';
+    let backgroundImage = null;
+
+    // Load everything first so a failure leaves the current effect running
+    if (mode === 'image') {
+      if (!effect.image) {
+        throw new Error('No background image selected');
+      }
+      backgroundImage = await this.loadImage(effect.image);
+    }
+
+    if (mode !== 'none') {
+      await this.loadSegmenter();
+    }
+
+    this.effect = { mode, image: effect.image || null };
+    this.backgroundImage = backgroundImage;
+  }
+
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Could not load background image'));
+      image.src = src;
+    });
+  }
+
+  // Returns the processed track; calling again with a new camera keeps the same output
+  start(sourceTrack) {
+    this.setSource(sourceTrack);
+
+    if (!this.outputTrack) {
+      this.outputCanvas = document.createElement('canvas');
+      this.outputContext = this.outputCanvas.getContext('2d');
+      this.resizeCanvases();
+
+      this.outputTrack = this.outputCanvas.captureStream(this.frameRate).getVideoTracks()[0];
+
+      // Timers keep running in background tabs, unlike requestAnimationFrame
+      this.frameTimer = setInterval(() => {
+        this.processFrame();
+      }, 1000 / this.frameRate);
+    }
+
+    return this.outputTrack;
+  }
+
+  setSource(sourceTrack) {
+    if (this.sourceTrack === sourceTrack) return;
+
+    this.sourceTrack = sourceTrack;
+
+    if (!this.sourceVideo) {
+      this.sourceVideo = document.createElement('video');
+      this.sourceVideo.muted = true;
+      this.sourceVideo.playsInline = true;
+    }
+
+    this.sourceVideo.srcObject = new MediaStream([sourceTrack]);
+    this.sourceVideo.play().catch(() => {});
+  }
+
+  resizeCanvases() {
+    const { width = 1280, height = 720 } = this.sourceTrack.getSettings();
+    const aspect = height / width;
+
+    this.outputCanvas.width = width;
+    this.outputCanvas.height = height;
+
+    this.maskCanvas.width = this.maskWidth;
+    this.maskCanvas.height = Math.round(this.maskWidth * aspect);
+  }
+
+  processFrame() {
+    const video = this.sourceVideo;
+    if (!video || video.readyState < 2 || !video.videoWidth) return;
+
+    // Camera resolution can change with quality presets or device switches
+    if (video.videoWidth !== this.outputCanvas.width || video.videoHeight !== this.outputCanvas.height) {
+      this.resizeCanvases();
+    }
+
+    const ctx = this.outputContext;
+    const { width, height } = this.outputCanvas;
+
+    if (this.effect.mode === 'none' || !this.segmenter) {
+      ctx.drawImage(video, 0, 0, width, height);
+      return;
+    }
+
+    // Segment a small copy of the frame
+    const maskWidth = this.maskCanvas.width;
+    const maskHeight = this.maskCanvas.height;
+    this.smallCanvas.width = maskWidth;
+    this.smallCanvas.height = maskHeight;
+    this.smallContext.drawImage(video, 0, 0, maskWidth, maskHeight);
+
+    const result = this.segmenter.segmentForVideo(this.smallCanvas, performance.now());
+    const confidence = result.confidenceMasks && result.confidenceMasks[0];
+    if (!confidence) {
+      ctx.drawImage(video, 0, 0, width, height);
+      return;
+    }
+
+    // Person confidence becomes the mask's alpha channel
+    const values = confidence.getAsFloat32Array();
+    const mask = this.maskContext.createImageData(maskWidth, maskHeight);
+    for (let i = 0; i < values.length; i++) {
+      mask.data[i * 4 + 3] = values[i] * 255;
+    }
+    this.maskContext.putImageData(mask, 0, 0);
+    result.close();
+
+    ctx.save();
+    ctx.clearRect(0, 0, width, height);
+
+    // Upscaling the small mask with smoothing gives soft edges for free
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(this.maskCanvas, 0, 0, width, height);
+
+    ctx.globalCompositeOperation = 'source-in';
+    ctx.drawImage(video, 0, 0, width, height);
+
+    ctx.globalCompositeOperation = 'destination-over';
+    if (this.effect.mode === 'image' && this.backgroundImage) {
+      this.drawCover(ctx, this.backgroundImage, width, height);
+    } else {
+      this.drawBlurred(ctx, video, width, height);
+    }
+
+    ctx.restore();
+  }
+
+  drawBlurred(ctx, video, width, height) {
+    // Shrinking then stretching the frame is a cheap blur on the CPU
+    const blurHeight = Math.round(this.blurWidth * height / width);
+    this.smallCanvas.width = this.blurWidth;
+    this.smallCanvas.height = blurHeight;
+    this.smallContext.filter = 'blur(2px)';
+    this.smallContext.drawImage(video, 0, 0, this.blurWidth, blurHeight);
+    this.smallContext.filter = 'none';
+
+    ctx.drawImage(this.smallCanvas, 0, 0, width, height);
+  }
+
+  drawCover(ctx, image, width, height) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+
+    ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  }
+
+  stop() {
+    clearInterval(this.frameTimer);
+    this.frameTimer = null;
+
+    if (this.outputTrack) {
+      this.outputTrack.stop();
+      this.outputTrack = null;
+    }
+
+    if (this.sourceVideo) {
+      this.sourceVideo.srcObject = null;
+      this.sourceVideo = null;
+    }
+
+    if (this.segmenter) {
+      this.segmenter.close();
+      this.segmenter = null;
+    }
+
+    this.sourceTrack = null;
+    this.outputCanvas = null;
+    this.outputContext = null;
+  }
+}
@@ -2,24 +2,21 @@
 class WebRTCClient {
   constructor(socket, localVideoElement, remoteVideosContainer) {
     this.socket = socket;
+    // Our id in the room. It stays the same when a reconnect gives the socket a new one.
+    this.participantId = null;
     this.localVideoElement = localVideoElement;
     this.remoteVideosContainer = remoteVideosContainer;
     
-    // WebRTC Configuration with STUN/TURN servers
+    // Public STUN servers, used until (or if) the backend provides TURN
+    this.fallbackIceServers = WebRTCClient.getFallbackIceServers();
+    
+    // WebRTC Configuration with STUN/TURN servers (see loadIceServers)
     this.pcConfig = {
-      iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' },
-        { urls: 'stun:stun2.l.google.com:19302' },
-        // Add your TURN server here
-        {
-          urls: 'turn:your-turn-server.com:3478',
-          username: 'your-username',
-          credential: 'your-password'
-        }
-      ],
+      iceServers: this.fallbackIceServers,
       iceCandidatePoolSize: 10
     };
+    this.iceServersExpireAt = null;
+    this.iceRefreshTimer = null;
     
     // Peer connections storage
     this.peerConnections = new Map();
@@ -27,27 +24,230 @@ class WebRTCClient {
     this.screenStream = null;
     this.remoteStreams = new Map();
     this.dataChannels = new Map();
+    this.dataChannelHandlers = new Set();
+    // Typed messages over the data channels (see peer-messenger.js)
+    this.messenger = new PeerMessenger(this);
+    this.messenger.registerType('video-pause', {
+      validate: (payload) => typeof payload.paused === 'boolean'
+    });
+    this.messenger.on('video-pause', (payload, { peerId }) => {
+      this.handleVideoPauseRequest(peerId, payload.paused);
+    });
+    this.messenger.registerType('video-layer', {
+      validate: (payload) => ['low', 'medium', 'high'].includes(payload.layer)
+    });
+    this.messenger.on('video-layer', (payload, { peerId }) => {
+      this.handleLayerRequest(peerId, payload.layer);
+    });
+
+    // Paged remote tiles; peers on other pages are asked to stop sending video
+    this.videoGrid = new VideoGrid(remoteVideosContainer, {
+      onTileVisibilityChange: (peerId, isVisible) => this.setRemoteVideoVisible(peerId, isVisible),
+      onLayout: () => this.updateLayerRequests()
+    });
+    // Peers that asked us to stop sending them our camera
+    this.videoPausedBy = new Set();
+    // While recording, off-page cameras keep coming so they're in the recording
+    this.isRecording = false;
+
+    // Low bandwidth mode: no camera either way, shared screens at a trickle
+    this.lowBandwidth = false;
+    this.cameraWasEnabled = false;
+    // Peers in low bandwidth mode get our screen share throttled too
+    this.lowBandwidthPeers = new Set();
+    this.lowBandwidthScreen = { maxFramerate: 5, maxBitrate: 300000 };
+    this.messenger.registerType('low-bandwidth', {
+      validate: (payload) => typeof payload.enabled === 'boolean'
+    });
+    this.messenger.on('low-bandwidth', (payload, { peerId }) => {
+      this.handlePeerLowBandwidth(peerId, payload.enabled);
+    });
     
-    // Media constraints
-    this.constraints = {
+    // Screen share travels as its own stream next to the camera
+    this.screenSenders = new Map();
+    this.remoteScreenStreams = new Map();
+    this.remoteCameraStreamIds = new Map();
+    // peerId -> Map(streamId -> 'camera'|'screen'), from the offers and answers
+    // each stream appeared in
+    this.remoteStreamTypes = new Map();
+
+    // Per-peer "perfect negotiation" state (polite role, offer collision flags)
+    this.negotiationStates = new Map();
+
+    // Which connections exist and how they are signaled: a full mesh by
+    // default, or one connection to an SFU for big rooms (see selectTransport)
+    this.transport = new MeshTransport(this);
+    this.localSfu = null;
+
+    // Connection recovery: wait out short drops, then try ICE restarts
+    this.recoveryConfig = {
+      gracePeriod: 5000,
+      restartTimeout: 10000,
+      maxRestarts: 2
+    };
+    this.peerRecovery = new Map();
+
+    // ICE candidates that arrive before the remote description is set
+    this.pendingCandidates = new Map();
+    this.candidateStats = new Map();
+
+    // Previous getStats() samples, used to turn byte counters into bitrates
+    this.statsSnapshots = new Map();
+    this.statsOverlayTimers = new Map();
+
+    // Local playback only: what we hear, never what others send
+    this.outputVolume = 1;
+    this.participantAudio = new Map();
+
+    // peerId -> { name, role, isHost, color, hasAudio, hasVideo } for tile labels
+    this.participantInfo = new Map();
+
+    // Optional end-to-end encryption of all media (see enableEncryption)
+    this.encryption = null;
+    // Peers whose media we currently can't decrypt
+    this.decryptFailures = new Set();
+
+    // Active speaker detection ('local' is our own microphone)
+    this.speakerDetection = {
+      interval: 200,
+      threshold: 0.02,
+      holdTime: 1200
+    };
+    this.audioAnalysers = new Map();
+    this.activeSpeakerId = null;
+    this.audioLevelTimer = null;
+    this.analysisContext = null;
+    
+    // Quality presets, applied to capture constraints and sender encodings
+    this.qualityPresets = {
       video: {
-        width: { ideal: 1280, max: 1920 },
-        height: { ideal: 720, max: 1080 },
-        frameRate: { ideal: 30, max: 60 }
+        low: { width: 640, height: 480, frameRate: 15, maxBitrate: 500000 },
+        medium: { width: 1280, height: 720, frameRate: 30, maxBitrate: 1500000 },
+        high: { width: 1920, height: 1080, frameRate: 30, maxBitrate: 3000000 }
       },
       audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true
+        low: { sampleRate: 16000, channelCount: 1, maxBitrate: 24000 },
+        medium: { sampleRate: 48000, channelCount: 1, maxBitrate: 48000 },
+        high: { sampleRate: 48000, channelCount: 2, maxBitrate: 128000 }
       }
     };
+    this.quality = { video: 'medium', audio: 'medium' };
+
+    // Steps below the chosen preset while our uplink is poor (see network-quality.js)
+    this.uplinkAdaptations = [
+      { scaleResolutionDownBy: 1, maxFramerate: null, bitrateFactor: 1 },
+      { scaleResolutionDownBy: 2, maxFramerate: 15, bitrateFactor: 0.5 },
+      { scaleResolutionDownBy: 4, maxFramerate: 10, bitrateFactor: 0.25 }
+    ];
+    this.uplinkAdaptation = 0;
+
+    // Camera layers, relative to the quality preset. Through an SFU all three
+    // are sent as simulcast; a mesh peer receives one, the layer it asked for.
+    this.videoLayers = {
+      low: { rid: 'l', scaleResolutionDownBy: 4, bitrateFactor: 0.15 },
+      medium: { rid: 'm', scaleResolutionDownBy: 2, bitrateFactor: 0.4 },
+      high: { rid: 'h', scaleResolutionDownBy: 1, bitrateFactor: 1 }
+    };
+    // peerId -> layer that peer asked us to send (mesh)
+    this.layerRequests = new Map();
+    // participantId -> layer we asked for, so only changes are sent
+    this.requestedLayers = new Map();
+    this.networkQuality = new NetworkQualityMonitor(this, {
+      onQualityChange: (participantId, score) => {
+        this.updateTileQuality(participantId, score);
+        this.updateLayerRequests();
+      },
+      onAdaptationChange: (level) => this.setUplinkAdaptation(level)
+    });
+    
+    // Optional background blur/replacement between the camera and the peers.
+    // When active, localStream carries the processed track and the raw
+    // camera track is kept in rawVideoTrack.
+    this.backgroundEffect = { mode: 'none', image: null };
+    this.videoProcessor = null;
+    this.rawVideoTrack = null;
+    
+    // Chosen devices, null means the browser default
+    this.selectedDevices = {
+      videoInput: null,
+      audioInput: null,
+      audioOutput: null
+    };
+    
+    // Media constraints
+    this.constraints = this.buildConstraints();
     
     this.setupEventListeners();
   }
 
-  async initialize() {
+  static getFallbackIceServers() {
+    return [
+      { urls: 'stun:stun.l.google.com:19302' },
+      { urls: 'stun:stun1.l.google.com:19302' },
+      { urls: 'stun:stun2.l.google.com:19302' }
+    ];
+  }
+
+  // Also used by the connectivity check, before any client exists
+  static async fetchIceServers(timeoutMs = 5000) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(`${window.APP_CONFIG.API_BASE_URL}/ice-servers`, {
+        credentials: 'include',
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.iceServers) || data.iceServers.length === 0) {
+      throw new Error('No ICE servers in response');
+    }
+
+    return data;
+  }
+
+  // options.stream: camera/mic already opened (by the lobby) to use as is.
+  // options.audioEnabled / videoEnabled: the state to join with.
+  async initialize(options = {}) {
+    const { stream = null, audioEnabled = true, videoEnabled = true } = options;
+
     try {
-      await this.getLocalStream();
+      if (stream) {
+        this.localStream = stream;
+        this.localVideoElement.srcObject = stream;
+        await this.applyCaptureConstraints();
+      } else {
+        await this.getLocalStream();
+      }
+
+      this.localStream.getAudioTracks().forEach(track => {
+        track.enabled = audioEnabled;
+      });
+      this.localStream.getVideoTracks().forEach(track => {
+        track.enabled = videoEnabled;
+      });
+
+      this.startSpeakerDetection();
+      this.networkQuality.start();
+
+      // A saved background effect shouldn't block joining if it fails to load
+      if (this.backgroundEffect.mode !== 'none') {
+        try {
+          await this.setBackgroundEffect(this.backgroundEffect);
+        } catch (error) {
+          console.error('Failed to apply background effect:', error);
+        }
+      }
+
       return true;
     } catch (error) {
       console.error('Failed to initialize WebRTC:', error);
@@ -55,297 +255,2020 @@ class WebRTCClient {
     }
   }
 
-  async getLocalStream(constraints = this.constraints) {
+  // Must run before the first peer connection: every sender and receiver
+  // gets its transform as it is created
+  async enableEncryption(passphrase, roomId) {
+    if (!MediaEncryption.isSupported()) {
+      throw new Error('End-to-end encryption is not supported in this browser');
+    }
+    if (this.localSfu) {
+      throw new Error('The local SFU cannot be used with end-to-end encryption');
+    }
+
+    this.encryption = new MediaEncryption({
+      onDecryptStatus: (peerId, ok) => this.setTileDecryptFailed(peerId, !ok)
+    });
+    await this.encryption.setPassphrase(passphrase, roomId);
+
+    if (MediaEncryption.usesEncodedStreams()) {
+      this.pcConfig = { ...this.pcConfig, encodedInsertableStreams: true };
+    }
+  }
+
+  get isEncrypted() {
+    return !!(this.encryption && this.encryption.isEnabled);
+  }
+
+  attachDecryption(receiver, participantId) {
+    if (this.isEncrypted) {
+      this.encryption.attachReceiver(receiver, participantId);
+    }
+  }
+
+  encryptSender(peerConnection, sender, peerId) {
+    if (!this.isEncrypted) return;
+
+    if (sender.track && sender.track.kind === 'video') {
+      const transceiver = peerConnection.getTransceivers().find(candidate => candidate.sender === sender);
+      if (transceiver) {
+        this.encryption.preferVp8(transceiver);
+      }
+    }
+
+    this.encryption.attachSender(sender, peerId);
+  }
+
+  setTileDecryptFailed(peerId, failed) {
+    if (failed) {
+      this.decryptFailures.add(peerId);
+    } else {
+      this.decryptFailures.delete(peerId);
+    }
+
+    [`video-container-${peerId}`, `screen-container-${peerId}`].forEach(id => {
+      const container = document.getElementById(id);
+      if (container) {
+        container.classList.toggle('decrypt-failed', failed);
+      }
+    });
+  }
+
+  // Short-lived TURN credentials from the backend: { iceServers, ttl } (ttl in seconds)
+  async loadIceServers() {
+    clearTimeout(this.iceRefreshTimer);
+
     try {
-      if (this.localStream) {
-        this.localStream.getTracks().forEach(track => track.stop());
+      const data = await WebRTCClient.fetchIceServers();
+
+      this.setIceServers(data.iceServers);
+
+      if (data.ttl) {
+        this.iceServersExpireAt = Date.now() + data.ttl * 1000;
+        // Refresh well before the credentials run out, however short the TTL
+        this.scheduleIceRefresh(data.ttl * 0.8 * 1000);
       }
-      
-      this.localStream = await navigator.mediaDevices.getUserMedia(constraints);
-      this.localVideoElement.srcObject = this.localStream;
-      
-      return this.localStream;
+
+      return true;
     } catch (error) {
-      console.error('Error accessing media devices:', error);
-      throw error;
+      console.error('Failed to load ICE servers:', error);
+      this.handleIceServersUnavailable();
+      return false;
     }
   }
 
-  async getScreenStream() {
+  scheduleIceRefresh(delay) {
+    clearTimeout(this.iceRefreshTimer);
+    this.iceRefreshTimer = setTimeout(() => {
+      this.loadIceServers();
+    }, delay);
+  }
+
+  handleIceServersUnavailable() {
+    // Credentials we already have stay usable until they expire
+    if (this.iceServersExpireAt && Date.now() < this.iceServersExpireAt) {
+      this.scheduleIceRefresh(Math.min(30000, this.iceServersExpireAt - Date.now()));
+      return;
+    }
+
+    this.iceServersExpireAt = null;
+    this.setIceServers(this.fallbackIceServers);
+
+    document.dispatchEvent(new CustomEvent('webrtcWarning', {
+      detail: {
+        code: 'turn-unavailable',
+        message: 'Relay server unavailable. Participants behind strict firewalls may not be able to connect.'
+      }
+    }));
+  }
+
+  setIceServers(iceServers) {
+    this.pcConfig = { ...this.pcConfig, iceServers };
+
+    // Existing connections pick up new credentials for their next ICE restart
+    for (const [peerId, peerConnection] of this.peerConnections) {
+      try {
+        peerConnection.setConfiguration({
+          ...peerConnection.getConfiguration(),
+          iceServers
+        });
+      } catch (error) {
+        console.warn(`Could not update ICE servers for ${peerId}:`, error);
+      }
+    }
+  }
+
+  buildConstraints() {
+    const video = this.qualityPresets.video[this.quality.video];
+    const audio = this.qualityPresets.audio[this.quality.audio];
+
+    const constraints = {
+      video: {
+        width: { ideal: video.width, max: 1920 },
+        height: { ideal: video.height, max: 1080 },
+        frameRate: { ideal: video.frameRate, max: 60 }
+      },
+      audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true,
+        sampleRate: { ideal: audio.sampleRate },
+        channelCount: { ideal: audio.channelCount }
+      }
+    };
+
+    // "ideal" so a remembered device that was unplugged falls back to the default
+    if (this.selectedDevices.videoInput) {
+      constraints.video.deviceId = { ideal: this.selectedDevices.videoInput };
+    }
+    if (this.selectedDevices.audioInput) {
+      constraints.audio.deviceId = { ideal: this.selectedDevices.audioInput };
+    }
+
+    return constraints;
+  }
+
+  setPreferredDevices({ videoInput, audioInput, audioOutput }) {
+    this.selectedDevices = {
+      videoInput: videoInput || null,
+      audioInput: audioInput || null,
+      audioOutput: audioOutput || null
+    };
+    this.constraints = this.buildConstraints();
+  }
+
+  async switchCamera(deviceId) {
+    return this.switchInputDevice('video', deviceId);
+  }
+
+  async switchMicrophone(deviceId) {
+    return this.switchInputDevice('audio', deviceId);
+  }
+
+  async switchInputDevice(kind, deviceId) {
+    this.selectedDevices[kind === 'video' ? 'videoInput' : 'audioInput'] = deviceId || null;
+    this.constraints = this.buildConstraints();
+
+    if (!this.localStream) return null;
+
+    const oldTrack = kind === 'video'
+      ? this.getCameraTrack()
+      : this.localStream.getAudioTracks()[0];
+
+    const trackConstraints = { ...this.constraints[kind] };
+    if (deviceId) {
+      trackConstraints.deviceId = { exact: deviceId };
+    }
+
+    let newStream;
     try {
-      const screenConstraints = {
-        video: {
-          mediaSource: 'screen',
-          width: { max: 1920 },
-          height: { max: 1080 },
-          frameRate: { max: 30 }
-        },
-        audio: true
-      };
-      
-      this.screenStream = await navigator.mediaDevices.getDisplayMedia(screenConstraints);
-      return this.screenStream;
+      newStream = await navigator.mediaDevices.getUserMedia({ [kind]: trackConstraints });
     } catch (error) {
-      console.error('Error accessing screen share:', error);
+      // Some devices (mostly phones) can't open a second camera while one is live
+      if (!oldTrack || error.name !== 'NotReadableError') throw error;
+      oldTrack.stop();
+      newStream = await navigator.mediaDevices.getUserMedia({ [kind]: trackConstraints });
+    }
+
+    const newTrack = newStream.getTracks()[0];
+
+    // With a background effect the processor just switches input; its output
+    // track, which the peers receive, stays the same
+    if (kind === 'video' && this.videoProcessor) {
+      if (oldTrack) {
+        newTrack.enabled = oldTrack.enabled;
+        oldTrack.stop();
+      }
+      this.rawVideoTrack = newTrack;
+      this.videoProcessor.setSource(newTrack);
+      return newTrack;
+    }
+
+    if (oldTrack) {
+      newTrack.enabled = oldTrack.enabled;
+      this.localStream.removeTrack(oldTrack);
+      oldTrack.stop();
+    }
+    this.localStream.addTrack(newTrack);
+
+    await this.replaceTrackOnSenders(kind, newTrack);
+
+    return newTrack;
+  }
+
+  // The camera itself, whether or not a background effect is applied
+  getCameraTrack() {
+    if (this.rawVideoTrack) return this.rawVideoTrack;
+    return this.localStream ? this.localStream.getVideoTracks()[0] || null : null;
+  }
+
+  async setBackgroundEffect(effect) {
+    this.backgroundEffect = { mode: effect.mode || 'none', image: effect.image || null };
+
+    if (!this.localStream) return;
+
+    const cameraTrack = this.getCameraTrack();
+    if (!cameraTrack) return;
+
+    if (this.backgroundEffect.mode === 'none') {
+      if (this.videoProcessor) {
+        this.videoProcessor.stop();
+        this.videoProcessor = null;
+      }
+
+      if (this.rawVideoTrack) {
+        this.rawVideoTrack = null;
+        await this.setOutgoingVideoTrack(cameraTrack);
+      }
+      return;
+    }
+
+    if (!VideoProcessor.isSupported()) {
+      throw new Error('Background effects are not supported in this browser');
+    }
+
+    const processor = this.videoProcessor || new VideoProcessor();
+    try {
+      await processor.setEffect(this.backgroundEffect);
+    } catch (error) {
+      if (!this.videoProcessor) processor.stop();
       throw error;
     }
+
+    if (!this.videoProcessor) {
+      this.videoProcessor = processor;
+      this.rawVideoTrack = cameraTrack;
+      await this.setOutgoingVideoTrack(processor.start(cameraTrack));
+    }
   }
 
-  setupEventListeners() {
-    this.socket.on('participant-joined', (data) => {
-      this.handleParticipantJoined(data);
+  // Swap the video track in localStream and on every camera sender
+  async setOutgoingVideoTrack(track) {
+    const currentTrack = this.localStream.getVideoTracks()[0];
+    if (currentTrack === track) return;
+
+    if (currentTrack) {
+      track.enabled = currentTrack.enabled;
+      this.localStream.removeTrack(currentTrack);
+    }
+    this.localStream.addTrack(track);
+
+    await this.replaceTrackOnSenders('video', track);
+  }
+
+  // Camera/microphone senders only; screen share senders are left alone
+  getCameraSender(peerId, kind) {
+    const peerConnection = this.peerConnections.get(peerId);
+    if (!peerConnection) return null;
+
+    const screenSenders = this.screenSenders.get(peerId) || [];
+    return peerConnection.getSenders().find(s => 
+      s.track && s.track.kind === kind && !screenSenders.includes(s)
+    ) || null;
+  }
+
+  async replaceTrackOnSenders(kind, track) {
+    for (const [peerId] of this.peerConnections) {
+      const sender = this.getCameraSender(peerId, kind);
+      
+      if (sender) {
+        try {
+          await sender.replaceTrack(track);
+        } catch (error) {
+          console.error(`Error replacing ${kind} track for ${peerId}:`, error);
+        }
+      }
+    }
+  }
+
+  async setAudioOutput(deviceId) {
+    this.selectedDevices.audioOutput = deviceId || null;
+
+    const mediaElements = this.remoteVideosContainer.querySelectorAll('video');
+    for (const element of mediaElements) {
+      await this.applyAudioOutput(element);
+    }
+  }
+
+  async applyAudioOutput(element) {
+    if (typeof element.setSinkId !== 'function') return;
+
+    try {
+      await element.setSinkId(this.selectedDevices.audioOutput || '');
+    } catch (error) {
+      console.warn('Could not switch audio output:', error);
+    }
+  }
+
+  // Switch presets live: re-constrain the capture and cap every sender
+  async setQuality({ video, audio }) {
+    if (this.qualityPresets.video[video]) this.quality.video = video;
+    if (this.qualityPresets.audio[audio]) this.quality.audio = audio;
+
+    this.constraints = this.buildConstraints();
+    await this.applyCaptureConstraints();
+
+    for (const [peerId] of this.peerConnections) {
+      await this.applyQualityToPeer(peerId);
+    }
+
+    return this.getEffectiveQuality();
+  }
+
+  async applyCaptureConstraints() {
+    if (!this.localStream) return;
+
+    const videoTrack = this.getCameraTrack();
+    const audioTrack = this.localStream.getAudioTracks()[0];
+
+    try {
+      if (videoTrack) await videoTrack.applyConstraints(this.constraints.video);
+      if (audioTrack) await audioTrack.applyConstraints(this.constraints.audio);
+    } catch (error) {
+      console.warn('Could not apply all quality constraints:', error);
+    }
+  }
+
+  async applyQualityToPeer(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    if (!peerConnection) return;
+
+    for (const sender of peerConnection.getSenders()) {
+      await this.applySenderParameters(sender, peerId);
+    }
+  }
+
+  async applySenderParameters(sender, peerId) {
+    if (!sender.track) return;
+
+    if (this.isScreenTrack(sender.track)) {
+      await this.applyScreenParameters(sender, peerId);
+      return;
+    }
+
+    const params = sender.getParameters();
+    // Encodings are only populated once the connection has been negotiated
+    if (!params.encodings || params.encodings.length === 0) return;
+
+    const isVideo = sender.track.kind === 'video';
+    const preset = isVideo
+      ? this.qualityPresets.video[this.quality.video]
+      : this.qualityPresets.audio[this.quality.audio];
+    const adaptation = this.uplinkAdaptations[this.uplinkAdaptation];
+
+    params.encodings.forEach(encoding => {
+      // Audio is never adapted, it's what keeps the class going
+      if (!isVideo) {
+        encoding.maxBitrate = preset.maxBitrate;
+        return;
+      }
+
+      // Simulcast encodings are named by rid; a single encoding sends the peer's layer
+      const layer = this.getLayerByRid(encoding.rid) ||
+        this.videoLayers[this.layerRequests.get(peerId) || 'high'];
+
+      encoding.maxBitrate = Math.round(preset.maxBitrate * layer.bitrateFactor * adaptation.bitrateFactor);
+      encoding.maxFramerate = adaptation.maxFramerate
+        ? Math.min(preset.frameRate, adaptation.maxFramerate)
+        : preset.frameRate;
+      encoding.scaleResolutionDownBy = layer.scaleResolutionDownBy * adaptation.scaleResolutionDownBy;
+      // Nothing is encoded or sent while our tile is off-page for them
+      encoding.active = !this.videoPausedBy.has(peerId);
+    });
+
+    try {
+      await sender.setParameters(params);
+    } catch (error) {
+      console.warn('Could not apply sender parameters:', error);
+    }
+  }
+
+  getLayerByRid(rid) {
+    return rid ? Object.values(this.videoLayers).find(layer => layer.rid === rid) : null;
+  }
+
+  // Lowest layer first, as SFUs expect
+  getSimulcastEncodings() {
+    const preset = this.qualityPresets.video[this.quality.video];
+
+    return ['low', 'medium', 'high'].map(name => {
+      const layer = this.videoLayers[name];
+      return {
+        rid: layer.rid,
+        scaleResolutionDownBy: layer.scaleResolutionDownBy,
+        maxBitrate: Math.round(preset.maxBitrate * layer.bitrateFactor)
+      };
     });
+  }
+
+  // Simulcast only pays off through an SFU: a browser on the other end of a
+  // mesh connection can only receive one encoding. LocalSfu is such a browser
+  // connection too, so it gets a single full-size encoding to scale itself.
+  publishTrack(peerConnection, track, stream) {
+    if (track.kind === 'video' && this.transport.usesSimulcast && !this.localSfu) {
+      return peerConnection.addTransceiver(track, {
+        direction: 'sendrecv',
+        streams: [stream],
+        sendEncodings: this.getSimulcastEncodings()
+      }).sender;
+    }
+
+    return peerConnection.addTrack(track, stream);
+  }
+
+  // Ask each sender for the smallest layer that still looks sharp in its tile
+  updateLayerRequests() {
+    this.videoGrid.getTiles().forEach(tile => {
+      const participantId = tile.dataset.peerId;
+      // Hidden tiles are paused instead (see setRemoteVideoVisible)
+      if (!participantId || tile.classList.contains('screen-share') || tile.style.display === 'none') return;
+
+      const layer = this.chooseLayer(tile, participantId);
+      if (this.requestedLayers.get(participantId) === layer) return;
+
+      this.requestedLayers.set(participantId, layer);
+      this.transport.requestLayer(participantId, layer);
+    });
+  }
+
+  chooseLayer(tile, participantId) {
+    const width = tile.clientWidth * (window.devicePixelRatio || 1);
+    let layer = 'low';
+
+    if (tile.classList.contains('featured') || tile.classList.contains('pinned') || width >= 960) {
+      layer = 'high';
+    } else if (width >= 480) {
+      layer = 'medium';
+    }
+
+    // A poor link to the sender (or the SFU) can't carry the big layers anyway
+    const score = this.getQualityScore(participantId);
+    if (score !== null && score <= 2) {
+      layer = 'low';
+    } else if (score === 3 && layer === 'high') {
+      layer = 'medium';
+    }
+
+    return layer;
+  }
+
+  handleLayerRequest(peerId, layer) {
+    this.layerRequests.set(peerId, layer);
+    this.applyQualityToPeer(peerId);
+  }
+
+  async setUplinkAdaptation(level) {
+    this.uplinkAdaptation = Math.max(0, Math.min(level, this.uplinkAdaptations.length - 1));
+
+    for (const [peerId] of this.peerConnections) {
+      await this.applyQualityToPeer(peerId);
+    }
+
+    document.dispatchEvent(new CustomEvent('uplinkAdaptationChanged', {
+      detail: { level: this.uplinkAdaptation }
+    }));
+  }
+
+  // Screen share keeps the browser's own encoding choices, unless we or the
+  // viewer are in low bandwidth mode: then it drops to a few frames a second
+  async applyScreenParameters(sender, peerId) {
+    if (sender.track.kind !== 'video') return;
+
+    const params = sender.getParameters();
+    if (!params.encodings || params.encodings.length === 0) return;
+
+    const throttle = this.lowBandwidth || this.lowBandwidthPeers.has(peerId);
+    params.encodings.forEach(encoding => {
+      if (throttle) {
+        encoding.maxFramerate = this.lowBandwidthScreen.maxFramerate;
+        encoding.maxBitrate = this.lowBandwidthScreen.maxBitrate;
+      } else {
+        delete encoding.maxFramerate;
+        delete encoding.maxBitrate;
+      }
+    });
+
+    try {
+      await sender.setParameters(params);
+    } catch (error) {
+      console.warn('Could not apply screen share parameters:', error);
+    }
+  }
+
+  // Builds on toggleVideo, so everyone sees us as camera-off through
+  // participant-video-toggle, and on the video-pause path for what we receive
+  async setLowBandwidth(enabled) {
+    if (this.lowBandwidth === enabled) return;
+    this.lowBandwidth = enabled;
+    this.remoteVideosContainer.classList.toggle('low-bandwidth', enabled);
+
+    if (enabled) {
+      this.cameraWasEnabled = this.isVideoEnabled;
+      if (this.isVideoEnabled) await this.toggleVideo();
+    } else if (this.cameraWasEnabled && !this.isVideoEnabled) {
+      await this.toggleVideo();
+    }
+
+    this.remoteStreams.forEach((stream, participantId) => {
+      this.setRemoteVideoVisible(participantId, this.videoGrid.isPeerVisible(participantId));
+    });
+
+    // Senders slow their screen share down for us
+    this.transport.setLowBandwidth(enabled);
+
+    // And we slow ours down for everyone
+    for (const [peerId] of this.peerConnections) {
+      await this.applyQualityToPeer(peerId);
+    }
+
+    document.dispatchEvent(new CustomEvent('lowBandwidthChanged', {
+      detail: { enabled }
+    }));
+  }
+
+  handlePeerLowBandwidth(peerId, enabled) {
+    if (enabled) {
+      this.lowBandwidthPeers.add(peerId);
+    } else {
+      this.lowBandwidthPeers.delete(peerId);
+    }
+
+    this.applyQualityToPeer(peerId);
+  }
+
+  isScreenTrack(track) {
+    return !!(this.screenStream && this.screenStream.getTracks().includes(track));
+  }
+
+  // What the browser actually delivers, which can be below the requested preset
+  getEffectiveQuality() {
+    const effective = {
+      videoPreset: this.quality.video,
+      audioPreset: this.quality.audio,
+      video: null,
+      audio: null
+    };
+
+    if (this.localStream) {
+      const videoTrack = this.getCameraTrack();
+      const audioTrack = this.localStream.getAudioTracks()[0];
+
+      if (videoTrack) {
+        const { width, height, frameRate } = videoTrack.getSettings();
+        effective.video = { width, height, frameRate };
+      }
+
+      if (audioTrack) {
+        const { sampleRate, channelCount } = audioTrack.getSettings();
+        effective.audio = { sampleRate, channelCount };
+      }
+    }
+
+    return effective;
+  }
+
+  async getLocalStream(constraints = this.constraints) {
+    try {
+      if (this.localStream) {
+        this.localStream.getTracks().forEach(track => track.stop());
+      }
+      
+      this.localStream = await navigator.mediaDevices.getUserMedia(constraints);
+      this.localVideoElement.srcObject = this.localStream;
+      
+      return this.localStream;
+    } catch (error) {
+      console.error('Error accessing media devices:', error);
+      throw error;
+    }
+  }
+
+  async getScreenStream() {
+    try {
+      const screenConstraints = {
+        video: {
+          mediaSource: 'screen',
+          width: { max: 1920 },
+          height: { max: 1080 },
+          frameRate: { max: 30 }
+        },
+        audio: true
+      };
+      
+      this.screenStream = await navigator.mediaDevices.getDisplayMedia(screenConstraints);
+      return this.screenStream;
+    } catch (error) {
+      console.error('Error accessing screen share:', error);
+      throw error;
+    }
+  }
+
+  setupEventListeners() {
+    this.socket.on('participant-joined', (data) => {
+      this.handleParticipantJoined(data);
+    });
+
+    this.socket.on('participant-left', (data) => {
+      this.handleParticipantLeft(data);
+    });
+
+    this.socket.on('room-joined', (data) => {
+      this.selectTransport(data);
+    });
+
+    this.socket.on('room-topology', (data) => {
+      this.handleRoomTopology(data);
+    });
+
+    this.transport.start();
+
+    this.socket.on('participant-video-toggle', (data) => {
+      this.handleRemoteVideoToggle(data);
+    });
+
+    this.socket.on('participant-audio-toggle', (data) => {
+      this.handleRemoteAudioToggle(data);
+    });
+  }
+
+  async handleParticipantJoined(data) {
+    const { participant } = data;
+    console.log('Participant joined:', participant);
+    
+    // Mesh calls the newcomer: adding our tracks fires negotiationneeded,
+    // which sends the offer. With an SFU there is nothing to do.
+    await this.transport.handleParticipantJoined(participant);
+  }
+
+  // Only the server decides, so everyone in a room is on the same topology.
+  // A client picking for itself would split the room when it grows.
+  chooseTopology(data) {
+    if (this.localSfu) return 'sfu';
+    return data.topology === 'sfu' ? 'sfu' : 'mesh';
+  }
+
+  async selectTransport(data) {
+    const topology = this.chooseTopology(data);
+    if (topology === this.transport.name) return;
+
+    console.log(`Using ${topology} topology`);
+    this.transport.stop();
+
+    // Media from the old topology ends with its connections
+    for (const [peerId] of this.peerConnections) {
+      this.closePeerConnection(peerId);
+    }
+    new Set([...this.remoteStreams.keys(), ...this.participantInfo.keys()]).forEach(participantId => {
+      this.removeRemoteVideo(participantId);
+    });
+    this.requestedLayers.clear();
+
+    this.transport = topology === 'sfu'
+      ? new SfuTransport(this, { signaling: this.localSfu ? this.localSfu.createSignaling() : null })
+      : new MeshTransport(this);
+
+    try {
+      await this.transport.start();
+    } catch (error) {
+      console.error('Error starting transport:', error);
+    }
+  }
+
+  // The server moves the whole room at once, e.g. when it outgrows the mesh
+  async handleRoomTopology(data) {
+    const previous = this.transport.name;
+    await this.selectTransport(data);
+    if (this.transport.name === previous || this.transport.name !== 'mesh') return;
+
+    // Back on mesh: one side of each pair calls, the other answers
+    const peerIds = Array.from(this.participantInfo.keys())
+      .filter(participantId => !this.transport.isPolite(participantId));
+    this.transport.restoreConnections(peerIds);
+  }
+
+  // Development only: route media through an in-page stand-in SFU. It
+  // re-encodes what it forwards, so it can't carry encrypted media.
+  useLocalSfu(localSfu) {
+    if (this.isEncrypted) {
+      throw new Error('The local SFU cannot be used with end-to-end encryption');
+    }
+    this.localSfu = localSfu;
+  }
+
+  handleParticipantLeft(data) {
+    const { participantId } = data;
+    console.log('Participant left:', participantId);
+    
+    this.transport.handleParticipantLeft(participantId);
+    this.removeRemoteVideo(participantId);
+    this.videoGrid.handlePeerLeft(participantId);
+    this.requestedLayers.delete(participantId);
+    this.participantInfo.delete(participantId);
+    this.decryptFailures.delete(participantId);
+    this.networkQuality.forget(participantId);
+  }
+
+  getNegotiationState(peerId) {
+    let state = this.negotiationStates.get(peerId);
+    if (!state) {
+      state = {
+        // Exactly one side of each pair is polite: it rolls back its own offer
+        // on a collision, while the impolite side ignores the incoming one.
+        polite: this.transport.isPolite(peerId),
+        makingOffer: false,
+        ignoreOffer: false,
+        isSettingRemoteAnswerPending: false,
+        // Tells the other side what the next offer is about ('camera' or 'screen')
+        pendingStreamType: null
+      };
+      this.negotiationStates.set(peerId, state);
+    }
+    return state;
+  }
+
+  async createPeerConnection(peerId) {
+    try {
+      const peerConnection = new RTCPeerConnection(this.pcConfig);
+      this.peerConnections.set(peerId, peerConnection);
+      this.getNegotiationState(peerId);
+
+      // Any change that needs renegotiation (tracks, data channels) lands here
+      peerConnection.onnegotiationneeded = () => {
+        this.createOffer(peerId);
+      };
+
+      // Add local stream tracks to peer connection
+      if (this.localStream) {
+        this.localStream.getTracks().forEach(track => {
+          const sender = this.publishTrack(peerConnection, track, this.localStream);
+          this.encryptSender(peerConnection, sender, peerId);
+        });
+      }
+
+      // Late joiners get an ongoing screen share as well, after the camera
+      if (this.screenStream) {
+        this.addScreenTracks(peerId);
+      }
+
+      // Handle remote stream
+      // The transport knows which participant a track belongs to
+      peerConnection.ontrack = (event) => {
+        this.transport.routeTrack(peerId, event);
+      };
+
+      // Handle ICE candidates
+      peerConnection.onicecandidate = (event) => {
+        if (event.candidate) {
+          this.transport.sendSignal('ice-candidate', peerId, {
+            candidate: event.candidate
+          });
+        }
+      };
+
+      // Handle connection state changes
+      peerConnection.onconnectionstatechange = () => {
+        console.log(`Connection state with ${peerId}: ${peerConnection.connectionState}`);
+        
+        switch (peerConnection.connectionState) {
+          case 'connected':
+            this.handlePeerRecovered(peerId);
+            this.applyQualityToPeer(peerId);
+            break;
+          case 'disconnected':
+            // Often temporary (Wi-Fi roaming, packet loss), give ICE a chance first
+            this.schedulePeerRecovery(peerId, this.recoveryConfig.gracePeriod);
+            break;
+          case 'failed':
+            this.schedulePeerRecovery(peerId, 0);
+            break;
+        }
+      };
+
+      // Messenger and file transfer need a channel straight to the participant
+      if (this.transport.usesDataChannels) {
+        // Create data channel for each peer. Both sides create one: we send on
+        // ours and receive on theirs, which arrives through ondatachannel.
+        const dataChannel = peerConnection.createDataChannel('messages', {
+          ordered: true
+        });
+        dataChannel.binaryType = 'arraybuffer';
+      
+        dataChannel.onopen = () => {
+          console.log(`Data channel opened with ${peerId}`);
+
+          // The tile may have landed off-page before we could tell the peer
+          if (!this.isRemoteVideoWanted(this.videoGrid.isPeerVisible(peerId))) {
+            this.messenger.send(peerId, 'video-pause', { paused: true });
+          }
+          if (this.lowBandwidth) {
+            this.messenger.send(peerId, 'low-bandwidth', { enabled: true });
+          }
+
+          // Likewise the layer we picked for it, which couldn't be sent yet
+          this.requestedLayers.delete(peerId);
+          this.updateLayerRequests();
+        };
+      
+        dataChannel.onmessage = (event) => {
+          this.handleDataChannelMessage(peerId, event.data);
+        };
+      
+        this.dataChannels.set(peerId, dataChannel);
+
+        peerConnection.ondatachannel = (event) => {
+          const channel = event.channel;
+          channel.binaryType = 'arraybuffer';
+          channel.onmessage = (messageEvent) => {
+            this.handleDataChannelMessage(peerId, messageEvent.data);
+          };
+        };
+      }
+
+      return peerConnection;
+    } catch (error) {
+      console.error('Error creating peer connection:', error);
+      throw error;
+    }
+  }
+
+  // Handlers receive (peerId, data) for every data channel message, text or binary
+  addDataChannelHandler(handler) {
+    this.dataChannelHandlers.add(handler);
+  }
+
+  removeDataChannelHandler(handler) {
+    this.dataChannelHandlers.delete(handler);
+  }
+
+  handleDataChannelMessage(peerId, data) {
+    this.dataChannelHandlers.forEach(handler => {
+      try {
+        handler(peerId, data);
+      } catch (error) {
+        console.error('Error handling data channel message:', error);
+      }
+    });
+  }
+
+  getOpenDataChannel(peerId) {
+    const dataChannel = this.dataChannels.get(peerId);
+    return dataChannel && dataChannel.readyState === 'open' ? dataChannel : null;
+  }
+
+  async createOffer(peerId, options = {}) {
+    const peerConnection = this.peerConnections.get(peerId);
+    if (!peerConnection) return;
+
+    const state = this.getNegotiationState(peerId);
+
+    try {
+      state.makingOffer = true;
+
+      const offer = await peerConnection.createOffer({
+        offerToReceiveAudio: true,
+        offerToReceiveVideo: true,
+        iceRestart: !!options.iceRestart
+      });
+
+      // An incoming offer may have been applied while we were creating ours
+      if (peerConnection.signalingState !== 'stable') return;
+
+      await peerConnection.setLocalDescription(offer);
+      
+      const streamType = state.pendingStreamType || 'camera';
+      state.pendingStreamType = null;
+      
+      this.transport.sendSignal('offer', peerId, {
+        offer: peerConnection.localDescription,
+        streamType: streamType,
+        streamId: this.getScreenStreamId()
+      });
+    } catch (error) {
+      console.error('Error creating offer:', error);
+    } finally {
+      state.makingOffer = false;
+    }
+  }
+
+  schedulePeerRecovery(peerId, delay) {
+    let recovery = this.peerRecovery.get(peerId);
+    if (!recovery) {
+      recovery = { timer: null, attempts: 0 };
+      this.peerRecovery.set(peerId, recovery);
+    }
+
+    // Already waiting out a grace period; only a hard failure cuts it short
+    if (recovery.timer && delay > 0) return;
+
+    clearTimeout(recovery.timer);
+    this.transport.setReconnecting(peerId, true);
+
+    recovery.timer = setTimeout(() => {
+      this.attemptIceRestart(peerId);
+    }, delay);
+  }
+
+  async attemptIceRestart(peerId) {
+    const recovery = this.peerRecovery.get(peerId);
+    const peerConnection = this.peerConnections.get(peerId);
+    if (!recovery || !peerConnection) return;
+
+    recovery.timer = null;
+
+    if (peerConnection.connectionState === 'connected') {
+      this.handlePeerRecovered(peerId);
+      return;
+    }
+
+    // The offer couldn't reach the peer; resumeConnections() starts over once we're back
+    if (!this.socket.connected) return;
+
+    if (recovery.attempts >= this.recoveryConfig.maxRestarts) {
+      console.log(`Could not recover connection with ${peerId}`);
+      this.transport.handleConnectionFailed(peerId);
+      return;
+    }
+
+    recovery.attempts++;
+    console.log(`ICE restart ${recovery.attempts}/${this.recoveryConfig.maxRestarts} with ${peerId}`);
+
+    await this.createOffer(peerId, { iceRestart: true });
+
+    // Check again once the restart has had time to complete
+    recovery.timer = setTimeout(() => {
+      this.attemptIceRestart(peerId);
+    }, this.recoveryConfig.restartTimeout);
+  }
+
+  handlePeerRecovered(peerId) {
+    const recovery = this.peerRecovery.get(peerId);
+    if (recovery) {
+      clearTimeout(recovery.timer);
+      this.peerRecovery.delete(peerId);
+      console.log(`Connection with ${peerId} recovered`);
+    }
+
+    this.transport.setReconnecting(peerId, false);
+  }
+
+  // Our socket is back and the room has taken us back in. Whoever left while
+  // we were away is dropped, newcomers are called, connections that stayed
+  // up carry on and the rest get a fresh round of ICE restarts.
+  resumeConnections(participantIds) {
+    const present = new Set(participantIds);
+
+    // LocalSfu's simulated participants are never in the room list
+    if (!this.localSfu) {
+      const known = new Set([...this.participantInfo.keys(), ...this.remoteStreams.keys()]);
+      this.peerConnections.forEach((peerConnection, peerId) => {
+        if (this.transport.isParticipantConnection(peerId)) known.add(peerId);
+      });
+
+      known.forEach(participantId => {
+        if (!present.has(participantId)) {
+          this.handleParticipantLeft({ participantId });
+        }
+      });
+    }
+
+    this.transport.restoreConnections(participantIds);
+
+    this.peerConnections.forEach((peerConnection, peerId) => {
+      if (peerConnection.connectionState === 'connected') return;
+
+      // Restarts made while we were offline never reached the peer
+      const recovery = this.peerRecovery.get(peerId);
+      if (recovery) {
+        clearTimeout(recovery.timer);
+        recovery.timer = null;
+        recovery.attempts = 0;
+      }
+      this.schedulePeerRecovery(peerId, 0);
+    });
+  }
+
+  setRemoteTileReconnecting(peerId, isReconnecting) {
+    const videoContainer = document.getElementById(`video-container-${peerId}`);
+    if (videoContainer) {
+      videoContainer.classList.toggle('reconnecting', isReconnecting);
+    }
+  }
+
+  async handleOffer(data) {
+    try {
+      const { fromId, offer, streamType, streamId } = data;
+      
+      let peerConnection = this.peerConnections.get(fromId);
+      if (!peerConnection) {
+        peerConnection = await this.createPeerConnection(fromId);
+      }
+
+      const state = this.getNegotiationState(fromId);
+
+      // Glare: we are making an offer or are mid-negotiation ourselves
+      const readyForOffer = !state.makingOffer &&
+        (peerConnection.signalingState === 'stable' || state.isSettingRemoteAnswerPending);
+      const offerCollision = !readyForOffer;
+
+      state.ignoreOffer = !state.polite && offerCollision;
+      if (state.ignoreOffer) {
+        console.log(`Ignoring colliding offer from ${fromId}`);
+        return;
+      }
+
+      if (offerCollision) {
+        // Polite peer: drop our pending offer and take theirs
+        await peerConnection.setLocalDescription({ type: 'rollback' });
+      }
+
+      this.recordStreamTypes(fromId, offer.sdp, streamId);
+      await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
+      await this.flushPendingCandidates(fromId);
+      
+      const answer = await peerConnection.createAnswer();
+      await peerConnection.setLocalDescription(answer);
+      
+      this.transport.sendSignal('answer', fromId, {
+        answer: peerConnection.localDescription,
+        streamType: streamType,
+        streamId: this.getScreenStreamId()
+      });
+      await this.applyQualityToPeer(fromId);
+    } catch (error) {
+      console.error('Error handling offer:', error);
+    }
+  }
+
+  async handleAnswer(data) {
+    try {
+      const { fromId, answer, streamId } = data;
+      const peerConnection = this.peerConnections.get(fromId);
+      
+      if (!peerConnection) return;
+
+      // An answer only makes sense for an offer we still have outstanding
+      if (peerConnection.signalingState !== 'have-local-offer') {
+        console.log(`Ignoring stale answer from ${fromId}`);
+        return;
+      }
+
+      this.recordStreamTypes(fromId, answer.sdp, streamId);
+
+      const state = this.getNegotiationState(fromId);
+      state.isSettingRemoteAnswerPending = true;
+      try {
+        await peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
+      } finally {
+        state.isSettingRemoteAnswerPending = false;
+      }
+
+      await this.flushPendingCandidates(fromId);
+      // Tracks added by this negotiation only have encodings now
+      await this.applyQualityToPeer(fromId);
+    } catch (error) {
+      console.error('Error handling answer:', error);
+    }
+  }
+
+  async handleIceCandidate(data) {
+    const { fromId, candidate } = data;
+    const peerConnection = this.peerConnections.get(fromId);
+    
+    // Candidates can overtake the offer/answer; hold them until it is applied
+    if (!peerConnection || !peerConnection.remoteDescription) {
+      this.queueIceCandidate(fromId, candidate);
+      return;
+    }
+
+    await this.applyIceCandidate(fromId, peerConnection, candidate);
+  }
+
+  getCandidateStats(peerId) {
+    let stats = this.candidateStats.get(peerId);
+    if (!stats) {
+      stats = { queued: 0, applied: 0, rejected: 0 };
+      this.candidateStats.set(peerId, stats);
+    }
+    return stats;
+  }
+
+  getIceCandidateStats(peerId) {
+    const queue = this.pendingCandidates.get(peerId);
+    return {
+      ...this.getCandidateStats(peerId),
+      pending: queue ? queue.length : 0
+    };
+  }
+
+  queueIceCandidate(peerId, candidate) {
+    if (!this.pendingCandidates.has(peerId)) {
+      this.pendingCandidates.set(peerId, []);
+    }
+
+    this.pendingCandidates.get(peerId).push(candidate);
+    this.getCandidateStats(peerId).queued++;
+  }
+
+  async applyIceCandidate(peerId, peerConnection, candidate) {
+    const stats = this.getCandidateStats(peerId);
+
+    try {
+      await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+      stats.applied++;
+    } catch (error) {
+      stats.rejected++;
+
+      // Candidates for an offer we ignored during glare are expected to fail
+      const state = this.negotiationStates.get(peerId);
+      if (!state || !state.ignoreOffer) {
+        console.error('Error handling ICE candidate:', error);
+      }
+    }
+  }
+
+  async flushPendingCandidates(peerId) {
+    const queue = this.pendingCandidates.get(peerId);
+    const peerConnection = this.peerConnections.get(peerId);
+    if (!queue || !peerConnection) return;
+
+    this.pendingCandidates.delete(peerId);
+
+    for (const candidate of queue) {
+      await this.applyIceCandidate(peerId, peerConnection, candidate);
+    }
+  }
+
+  handleRemoteStream(peerId, stream) {
+    console.log('Received remote stream from:', peerId);
+    
+    this.remoteStreams.set(peerId, stream);
+    if (this.lowBandwidth) {
+      stream.getVideoTracks().forEach(track => {
+        track.enabled = false;
+      });
+    }
+    this.createRemoteVideoElement(peerId, stream);
+  }
+
+  // Sent with every offer and answer while we share, so the other side can
+  // tell the screen from the camera whichever description carries it first
+  getScreenStreamId() {
+    return this.screenStream ? this.screenStream.id : null;
+  }
+
+  // Offers and answers name the sender's screen stream while it shares; every
+  // other stream is a camera. Known streams keep their type.
+  recordStreamTypes(peerId, sdp, screenStreamId) {
+    let types = this.remoteStreamTypes.get(peerId);
+    if (!types) {
+      types = new Map();
+      this.remoteStreamTypes.set(peerId, types);
+    }
+
+    if (screenStreamId) {
+      types.set(screenStreamId, 'screen');
+    }
+
+    const msidPattern = /^a=(?:ssrc:\d+ )?msid:(\S+)/gm;
+    let match;
+    while ((match = msidPattern.exec(sdp || '')) !== null) {
+      const streamId = match[1];
+      if (streamId !== '-' && !types.has(streamId)) {
+        types.set(streamId, 'camera');
+      }
+    }
+  }
+
+  isRemoteScreenStream(peerId, stream) {
+    const types = this.remoteStreamTypes.get(peerId);
+    const announced = types && types.get(stream.id);
+    if (announced) {
+      if (announced === 'camera') this.remoteCameraStreamIds.set(peerId, stream.id);
+      return announced === 'screen';
+    }
+
+    // Not announced (an older client): the camera is added first
+    const cameraStreamId = this.remoteCameraStreamIds.get(peerId);
+    if (!cameraStreamId) {
+      this.remoteCameraStreamIds.set(peerId, stream.id);
+      return false;
+    }
+    return stream.id !== cameraStreamId;
+  }
+
+  handleRemoteScreenStream(peerId, stream) {
+    console.log('Received screen share from:', peerId);
+
+    this.remoteScreenStreams.set(peerId, stream);
+    this.createRemoteScreenElement(peerId, stream);
+
+    // The sharer removes its tracks when it stops, which empties the stream
+    stream.onremovetrack = () => {
+      if (stream.getVideoTracks().length === 0) {
+        this.removeRemoteScreen(peerId);
+      }
+    };
+  }
+
+  createRemoteScreenElement(peerId, stream) {
+    this.removeRemoteScreen(peerId, false);
+
+    const screenContainer = document.createElement('div');
+    screenContainer.className = 'remote-video-container screen-share';
+    screenContainer.id = `screen-container-${peerId}`;
+    screenContainer.dataset.peerId = peerId;
+    screenContainer.classList.toggle('decrypt-failed', this.decryptFailures.has(peerId));
+
+    const videoElement = document.createElement('video');
+    videoElement.id = `remote-screen-${peerId}`;
+    videoElement.className = 'remote-video';
+    videoElement.dataset.peerId = peerId;
+    videoElement.autoplay = true;
+    videoElement.playsInline = true;
+    videoElement.srcObject = stream;
+    this.applyAudioOutput(videoElement);
+    this.applyPlaybackVolume(peerId, videoElement);
+    this.playRemoteMedia(videoElement);
+
+    const nameLabel = document.createElement('div');
+    nameLabel.className = 'participant-name';
+    nameLabel.textContent = `🖥️ ${this.getParticipantInfo(peerId).name} (screen)`;
+
+    const controlsContainer = document.createElement('div');
+    controlsContainer.className = 'video-controls';
+    controlsContainer.appendChild(this.createPinButton(screenContainer.id));
+
+    screenContainer.appendChild(videoElement);
+    screenContainer.appendChild(nameLabel);
+    screenContainer.appendChild(controlsContainer);
+
+    // Place the screen right after the presenter's camera tile
+    const cameraContainer = document.getElementById(`video-container-${peerId}`);
+    if (cameraContainer) {
+      cameraContainer.after(screenContainer);
+    } else {
+      this.remoteVideosContainer.prepend(screenContainer);
+    }
+  }
+
+  removeRemoteScreen(peerId, forgetStream = true) {
+    const screenContainer = document.getElementById(`screen-container-${peerId}`);
+    if (screenContainer) {
+      const videoElement = screenContainer.querySelector('video');
+      if (videoElement) {
+        videoElement.srcObject = null;
+      }
+      screenContainer.remove();
+    }
+
+    if (forgetStream) {
+      this.remoteScreenStreams.delete(peerId);
+    }
+  }
+
+  createRemoteVideoElement(peerId, stream) {
+    // Remove existing video element if it exists (keep the stream registered)
+    const existingContainer = document.getElementById(`video-container-${peerId}`);
+    if (existingContainer) {
+      existingContainer.remove();
+    }
+    
+    const videoContainer = document.createElement('div');
+    videoContainer.className = 'remote-video-container';
+    videoContainer.id = `video-container-${peerId}`;
+    videoContainer.dataset.peerId = peerId;
+    
+    const videoElement = document.createElement('video');
+    videoElement.id = `remote-video-${peerId}`;
+    videoElement.className = 'remote-video';
+    videoElement.dataset.peerId = peerId;
+    videoElement.autoplay = true;
+    videoElement.playsInline = true;
+    videoElement.srcObject = stream;
+    this.applyAudioOutput(videoElement);
+    this.applyPlaybackVolume(peerId, videoElement);
+    this.playRemoteMedia(videoElement);
+    
+    const nameLabel = document.createElement('div');
+    nameLabel.className = 'participant-name';
+    
+    // Stands in for the video while the camera is off
+    const avatar = document.createElement('div');
+    avatar.className = 'tile-avatar';
+    
+    const controlsContainer = document.createElement('div');
+    controlsContainer.className = 'video-controls';
+    
+    // Add audio/video indicators
+    const audioIndicator = document.createElement('div');
+    audioIndicator.className = 'audio-indicator';
+    audioIndicator.innerHTML = '🎤';
+    
+    const videoIndicator = document.createElement('div');
+    videoIndicator.className = 'video-indicator';
+    videoIndicator.innerHTML = '📹';
+    
+    const statsButton = document.createElement('button');
+    statsButton.className = 'tile-btn stats-toggle';
+    statsButton.innerHTML = '📊';
+    statsButton.title = 'Connection stats';
+    statsButton.addEventListener('click', () => {
+      this.toggleStatsOverlay(peerId);
+    });
+    
+    const qualityBars = document.createElement('div');
+    qualityBars.className = 'quality-bars';
+    NetworkQualityMonitor.renderBars(qualityBars, this.getQualityScore(peerId));
+    
+    controlsContainer.appendChild(qualityBars);
+    controlsContainer.appendChild(audioIndicator);
+    controlsContainer.appendChild(videoIndicator);
+    controlsContainer.appendChild(statsButton);
+    controlsContainer.appendChild(this.createPinButton(videoContainer.id));
+    
+    const audioControls = this.createTileAudioControls(peerId);
+    
+    const statsOverlay = document.createElement('div');
+    statsOverlay.className = 'stats-overlay';
+    
+    const reconnectingOverlay = document.createElement('div');
+    reconnectingOverlay.className = 'reconnecting-overlay';
+    reconnectingOverlay.innerHTML = '<div class="spinner"></div><span>Reconnecting...</span>';
+    
+    videoContainer.appendChild(videoElement);
+    videoContainer.appendChild(avatar);
+    videoContainer.appendChild(nameLabel);
+    videoContainer.appendChild(controlsContainer);
+    videoContainer.appendChild(audioControls);
+    videoContainer.appendChild(statsOverlay);
+    videoContainer.appendChild(reconnectingOverlay);
+    
+    if (this.statsOverlayTimers.has(peerId)) {
+      videoContainer.classList.add('show-stats');
+    }
+    
+    if (this.peerRecovery.has(peerId)) {
+      videoContainer.classList.add('reconnecting');
+    }
+    
+    if (this.activeSpeakerId === peerId) {
+      videoContainer.classList.add('active-speaker');
+    }
+    
+    if (this.decryptFailures.has(peerId)) {
+      videoContainer.classList.add('decrypt-failed');
+    }
+    
+    this.remoteVideosContainer.appendChild(videoContainer);
+    this.updateTileInfo(peerId);
+  }
+
+  // Names come from the room (see VirtualClassroom); until then the id will do
+  getParticipantInfo(peerId) {
+    return {
+      name: `Participant ${peerId.substring(0, 8)}`,
+      role: null,
+      isHost: false,
+      color: '#666',
+      hasAudio: true,
+      hasVideo: true,
+      ...this.participantInfo.get(peerId)
+    };
+  }
+
+  setParticipantInfo(peerId, info) {
+    this.participantInfo.set(peerId, { ...this.participantInfo.get(peerId), ...info });
+    this.updateTileInfo(peerId);
+  }
+
+  updateTileInfo(peerId) {
+    const info = this.getParticipantInfo(peerId);
+
+    const screenLabel = document.querySelector(`#screen-container-${peerId} .participant-name`);
+    if (screenLabel) {
+      screenLabel.textContent = `🖥️ ${info.name} (screen)`;
+    }
+
+    const videoContainer = document.getElementById(`video-container-${peerId}`);
+    if (!videoContainer) return;
+
+    const nameLabel = videoContainer.querySelector('.participant-name');
+    nameLabel.textContent = info.name;
+
+    if (info.role) {
+      const roleBadge = document.createElement('span');
+      roleBadge.className = `role-badge role-${info.role}`;
+      roleBadge.textContent = info.role;
+      nameLabel.appendChild(roleBadge);
+    }
+
+    if (info.isHost) {
+      nameLabel.appendChild(document.createTextNode(' 👑'));
+    }
+
+    const avatar = videoContainer.querySelector('.tile-avatar');
+    avatar.textContent = info.name.charAt(0).toUpperCase();
+    avatar.style.background = info.color;
+
+    videoContainer.classList.toggle('video-off', !info.hasVideo);
+    videoContainer.classList.toggle('audio-off', !info.hasAudio);
+    videoContainer.querySelector('.audio-indicator').innerHTML = info.hasAudio ? '🎤' : '🔇';
+    videoContainer.querySelector('.video-indicator').innerHTML = info.hasVideo ? '📹' : '🚫';
+  }
+
+  // Scores are per connection: one per participant in mesh, one for
+  // everybody through the SFU
+  getQualityScore(participantId) {
+    return this.networkQuality.getScore(this.transport.getConnectionId(participantId));
+  }
+
+  updateTileQuality(connectionId, score) {
+    this.remoteStreams.forEach((stream, participantId) => {
+      if (this.transport.getConnectionId(participantId) !== connectionId) return;
+
+      const qualityBars = document.querySelector(`#video-container-${participantId} .quality-bars`);
+      if (qualityBars) {
+        NetworkQualityMonitor.renderBars(qualityBars, score);
+      }
+    });
+  }
+
+  // Pinning only changes our own layout
+  createPinButton(tileId) {
+    const pinButton = document.createElement('button');
+    pinButton.className = 'tile-btn pin-toggle';
+    pinButton.innerHTML = '📌';
+    pinButton.title = 'Pin for yourself';
+    pinButton.addEventListener('click', () => {
+      this.videoGrid.togglePin(tileId);
+    });
+    return pinButton;
+  }
+
+  createTileAudioControls(peerId) {
+    const settings = this.getParticipantAudio(peerId);
+
+    const audioControls = document.createElement('div');
+    audioControls.className = 'tile-audio-controls';
+
+    const muteButton = document.createElement('button');
+    muteButton.className = 'tile-btn local-mute';
+    muteButton.addEventListener('click', () => {
+      this.setParticipantMuted(peerId, !this.getParticipantAudio(peerId).muted);
+    });
+
+    const volumeSlider = document.createElement('input');
+    volumeSlider.type = 'range';
+    volumeSlider.className = 'tile-volume';
+    volumeSlider.min = '0';
+    volumeSlider.max = '100';
+    volumeSlider.value = String(Math.round(settings.volume * 100));
+    volumeSlider.title = 'Volume (only for you)';
+    volumeSlider.addEventListener('input', () => {
+      this.setParticipantVolume(peerId, volumeSlider.value / 100);
+    });
+
+    audioControls.appendChild(muteButton);
+    audioControls.appendChild(volumeSlider);
+
+    this.updateTileAudioControls(peerId, audioControls);
+
+    return audioControls;
+  }
+
+  updateTileAudioControls(peerId, audioControls = document.querySelector(`#video-container-${peerId} .tile-audio-controls`)) {
+    if (!audioControls) return;
+
+    const { muted } = this.getParticipantAudio(peerId);
+    const muteButton = audioControls.querySelector('.local-mute');
+
+    muteButton.innerHTML = muted ? '🔇' : '🔈';
+    muteButton.title = muted ? 'Unmute for me' : 'Mute for me';
+    audioControls.classList.toggle('muted', muted);
+  }
+
+  getParticipantAudio(peerId) {
+    let settings = this.participantAudio.get(peerId);
+    if (!settings) {
+      settings = { volume: 1, muted: false };
+      this.participantAudio.set(peerId, settings);
+    }
+    return settings;
+  }
+
+  setParticipantVolume(peerId, volume) {
+    this.getParticipantAudio(peerId).volume = Math.min(1, Math.max(0, volume));
+    this.applyPlaybackVolume(peerId);
+  }
+
+  setParticipantMuted(peerId, muted) {
+    this.getParticipantAudio(peerId).muted = muted;
+    this.applyPlaybackVolume(peerId);
+    this.updateTileAudioControls(peerId);
+  }
+
+  setOutputVolume(volume) {
+    this.outputVolume = Math.min(1, Math.max(0, volume));
+
+    for (const [peerId] of this.remoteStreams) {
+      this.applyPlaybackVolume(peerId);
+    }
+  }
+
+  applyPlaybackVolume(peerId, videoElement = null) {
+    // Camera and screen share (which may carry tab audio) follow the same settings
+    const elements = videoElement ? [videoElement] : [
+      document.getElementById(`remote-video-${peerId}`),
+      document.getElementById(`remote-screen-${peerId}`)
+    ];
+
+    const { volume, muted } = this.getParticipantAudio(peerId);
+
+    elements.filter(Boolean).forEach(element => {
+      element.volume = volume * this.outputVolume;
+
+      // Autoplay fallback keeps the element muted until the user interacts
+      if (!element.dataset.autoplayBlocked) {
+        element.muted = muted;
+      }
+    });
+  }
+
+  playRemoteMedia(videoElement) {
+    const playPromise = videoElement.play();
+    if (!playPromise) return;
+
+    playPromise.catch(() => {
+      // Autoplay with sound was blocked: play muted, unmute on the next click
+      videoElement.dataset.autoplayBlocked = 'true';
+      videoElement.muted = true;
+      videoElement.play().catch(() => {});
+
+      document.addEventListener('click', () => {
+        delete videoElement.dataset.autoplayBlocked;
+        this.applyPlaybackVolume(videoElement.dataset.peerId, videoElement);
+      }, { once: true });
+    });
+  }
+
+  startSpeakerDetection() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass || this.audioLevelTimer) return;
+
+    this.analysisContext = new AudioContextClass();
+    this.audioLevelTimer = setInterval(() => {
+      this.updateAudioLevels();
+    }, this.speakerDetection.interval);
+  }
+
+  stopSpeakerDetection() {
+    clearInterval(this.audioLevelTimer);
+    this.audioLevelTimer = null;
+
+    this.audioAnalysers.forEach(entry => entry.source.disconnect());
+    this.audioAnalysers.clear();
+
+    if (this.analysisContext) {
+      this.analysisContext.close();
+      this.analysisContext = null;
+    }
+
+    this.activeSpeakerId = null;
+  }
+
+  // Keep one analyser per audio track; tracks change on device switches
+  syncAudioAnalysers() {
+    const streams = new Map();
+    if (this.localStream) {
+      streams.set('local', this.localStream);
+    }
+    this.remoteStreams.forEach((stream, peerId) => streams.set(peerId, stream));
+
+    streams.forEach((stream, id) => {
+      const track = stream.getAudioTracks()[0];
+      const existing = this.audioAnalysers.get(id);
+
+      if (existing && (!track || existing.trackId !== track.id)) {
+        existing.source.disconnect();
+        this.audioAnalysers.delete(id);
+      }
+
+      if (track && !this.audioAnalysers.has(id)) {
+        const source = this.analysisContext.createMediaStreamSource(new MediaStream([track]));
+        const analyser = this.analysisContext.createAnalyser();
+        analyser.fftSize = 512;
+        source.connect(analyser);
+
+        this.audioAnalysers.set(id, {
+          trackId: track.id,
+          source,
+          analyser,
+          samples: new Float32Array(analyser.fftSize),
+          level: 0,
+          lastSpokeAt: 0
+        });
+      }
+    });
+
+    this.audioAnalysers.forEach((entry, id) => {
+      if (!streams.has(id)) {
+        entry.source.disconnect();
+        this.audioAnalysers.delete(id);
+      }
+    });
+  }
+
+  updateAudioLevels() {
+    if (!this.analysisContext) return;
+
+    // Contexts created without a user gesture start suspended
+    if (this.analysisContext.state === 'suspended') {
+      this.analysisContext.resume().catch(() => {});
+    }
+
+    this.syncAudioAnalysers();
+
+    const now = Date.now();
+    let loudestId = null;
+    let loudestLevel = 0;
+
+    this.audioAnalysers.forEach((entry, id) => {
+      entry.analyser.getFloatTimeDomainData(entry.samples);
+
+      let sum = 0;
+      for (let i = 0; i < entry.samples.length; i++) {
+        sum += entry.samples[i] * entry.samples[i];
+      }
+      const rms = Math.sqrt(sum / entry.samples.length);
+
+      // Fast attack, slow decay so a speaker doesn't flicker between words
+      entry.level = Math.max(rms, entry.level * 0.7);
+
+      if (entry.level > this.speakerDetection.threshold) {
+        entry.lastSpokeAt = now;
+        if (entry.level > loudestLevel) {
+          loudestLevel = entry.level;
+          loudestId = id;
+        }
+      }
+    });
+
+    const current = this.audioAnalysers.get(this.activeSpeakerId);
+    const currentStillTalking = current &&
+      now - current.lastSpokeAt < this.speakerDetection.holdTime;
+
+    if (loudestId && loudestId !== this.activeSpeakerId) {
+      // Only take over from someone who paused, or by being clearly louder
+      if (!currentStillTalking || loudestLevel > current.level * 1.5) {
+        this.setActiveSpeaker(loudestId);
+      }
+    } else if (!loudestId && this.activeSpeakerId && !currentStillTalking) {
+      this.setActiveSpeaker(null);
+    }
+  }
+
+  getAudioLevel(participantId) {
+    const entry = this.audioAnalysers.get(participantId);
+    return entry ? entry.level : 0;
+  }
+
+  setActiveSpeaker(participantId) {
+    const previousId = this.activeSpeakerId;
+    this.activeSpeakerId = participantId;
+
+    this.updateSpeakingIndicator(previousId, false);
+    this.updateSpeakingIndicator(participantId, true);
+
+    // Speaker view stays on the last remote speaker through silences
+    if (participantId && participantId !== 'local') {
+      this.videoGrid.setActiveSpeaker(participantId);
+    }
+
+    document.dispatchEvent(new CustomEvent('activeSpeakerChanged', {
+      detail: {
+        participantId: participantId,
+        previousParticipantId: previousId
+      }
+    }));
+  }
+
+  updateSpeakingIndicator(participantId, isSpeaking) {
+    if (!participantId) return;
+
+    if (participantId === 'local') {
+      const localContainer = this.localVideoElement.parentElement;
+      if (localContainer) {
+        localContainer.classList.toggle('active-speaker', isSpeaking);
+      }
+      return;
+    }
+
+    const videoContainer = document.getElementById(`video-container-${participantId}`);
+    if (videoContainer) {
+      videoContainer.classList.toggle('active-speaker', isSpeaking);
+    }
+  }
 
-    this.socket.on('participant-left', (data) => {
-      this.handleParticipantLeft(data);
-    });
+  // In low bandwidth mode no camera is wanted, whatever the page or recording
+  isRemoteVideoWanted(isVisible) {
+    return (isVisible || this.isRecording) && !this.lowBandwidth;
+  }
 
-    this.socket.on('offer', (data) => {
-      this.handleOffer(data);
-    });
+  // Off-page tiles: stop rendering now, and ask the peer to stop sending
+  setRemoteVideoVisible(peerId, isVisible) {
+    const wanted = this.isRemoteVideoWanted(isVisible);
 
-    this.socket.on('answer', (data) => {
-      this.handleAnswer(data);
-    });
+    const stream = this.remoteStreams.get(peerId);
+    if (stream) {
+      stream.getVideoTracks().forEach(track => {
+        track.enabled = wanted;
+      });
+    }
 
-    this.socket.on('ice-candidate', (data) => {
-      this.handleIceCandidate(data);
-    });
+    this.transport.requestVideo(peerId, wanted);
+  }
 
-    this.socket.on('participant-video-toggle', (data) => {
-      this.handleRemoteVideoToggle(data);
-    });
+  setRecording(isRecording) {
+    this.isRecording = isRecording;
 
-    this.socket.on('participant-audio-toggle', (data) => {
-      this.handleRemoteAudioToggle(data);
+    this.remoteStreams.forEach((stream, participantId) => {
+      this.setRemoteVideoVisible(participantId, this.videoGrid.isPeerVisible(participantId));
     });
   }
 
-  async handleParticipantJoined(data) {
-    const { participant } = data;
-    console.log('Participant joined:', participant);
-    
-    // Create peer connection for new participant
-    await this.createPeerConnection(participant.id);
-    
-    // Create and send offer
-    await this.createOffer(participant.id);
+  handleVideoPauseRequest(peerId, paused) {
+    if (paused) {
+      this.videoPausedBy.add(peerId);
+    } else {
+      this.videoPausedBy.delete(peerId);
+    }
+
+    this.applyQualityToPeer(peerId);
   }
 
-  handleParticipantLeft(data) {
-    const { participantId } = data;
-    console.log('Participant left:', participantId);
+  removeRemoteVideo(peerId) {
+    const videoContainer = document.getElementById(`video-container-${peerId}`);
+    if (videoContainer) {
+      videoContainer.remove();
+    }
     
-    this.closePeerConnection(participantId);
-    this.removeRemoteVideo(participantId);
+    this.remoteStreams.delete(peerId);
+    this.removeRemoteScreen(peerId);
+    this.stopStatsOverlay(peerId);
   }
 
-  async createPeerConnection(peerId) {
-    try {
-      const peerConnection = new RTCPeerConnection(this.pcConfig);
-      this.peerConnections.set(peerId, peerConnection);
+  async getConnectionStats(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    if (!peerConnection) return null;
 
-      // Add local stream tracks to peer connection
-      if (this.localStream) {
-        this.localStream.getTracks().forEach(track => {
-          peerConnection.addTrack(track, this.localStream);
-        });
-      }
+    const report = await peerConnection.getStats();
+    const entries = new Map();
+    report.forEach(entry => entries.set(entry.id, entry));
 
-      // Handle remote stream
-      peerConnection.ontrack = (event) => {
-        this.handleRemoteStream(peerId, event.streams[0]);
-      };
+    const previous = this.statsSnapshots.get(peerId) || new Map();
+    const snapshot = new Map();
 
-      // Handle ICE candidates
-      peerConnection.onicecandidate = (event) => {
-        if (event.candidate) {
-          this.socket.emit('ice-candidate', {
-            targetId: peerId,
-            candidate: event.candidate
-          });
-        }
+    const stats = {
+      peerId: peerId,
+      timestamp: Date.now(),
+      connectionState: peerConnection.connectionState,
+      inbound: { audio: null, video: null },
+      outbound: { audio: null, video: null },
+      rtt: null,
+      candidatePair: null
+    };
+
+    entries.forEach(entry => {
+      if (entry.type !== 'inbound-rtp' && entry.type !== 'outbound-rtp') return;
+
+      const kind = entry.kind || entry.mediaType;
+      const isInbound = entry.type === 'inbound-rtp';
+      const bytes = isInbound ? entry.bytesReceived : entry.bytesSent;
+      const packets = isInbound ? entry.packetsReceived : entry.packetsSent;
+
+      snapshot.set(entry.id, { bytes, packets, packetsLost: entry.packetsLost, timestamp: entry.timestamp });
+      const prev = previous.get(entry.id);
+
+      const normalized = {
+        bitrate: this.calculateBitrate(bytes, entry.timestamp, prev),
+        packetsLost: 0,
+        packetLoss: 0,
+        jitter: null,
+        width: entry.frameWidth || null,
+        height: entry.frameHeight || null,
+        frameRate: entry.framesPerSecond || null,
+        codec: this.getCodecName(entries, entry.codecId),
+        // Why the encoder is sending less than asked: 'bandwidth', 'cpu' or 'none'
+        limitation: entry.qualityLimitationReason || null
       };
 
-      // Handle connection state changes
-      peerConnection.onconnectionstatechange = () => {
-        console.log(`Connection state with ${peerId}: ${peerConnection.connectionState}`);
-        
-        if (peerConnection.connectionState === 'disconnected' || 
-            peerConnection.connectionState === 'failed') {
-          this.closePeerConnection(peerId);
-          this.removeRemoteVideo(peerId);
+      if (isInbound) {
+        normalized.packetsLost = entry.packetsLost || 0;
+        normalized.packetLoss = this.calculatePacketLoss(packets, entry.packetsLost, prev);
+        normalized.jitter = entry.jitter !== undefined ? entry.jitter * 1000 : null;
+      } else {
+        // Loss and RTT for what we send are reported back by the receiver
+        const remote = Array.from(entries.values()).find(candidate =>
+          candidate.type === 'remote-inbound-rtp' && candidate.localId === entry.id
+        );
+
+        if (remote) {
+          normalized.packetsLost = remote.packetsLost || 0;
+          normalized.packetLoss = remote.fractionLost !== undefined
+            ? remote.fractionLost * 100
+            : this.calculatePacketLoss(packets, remote.packetsLost, null);
+          normalized.jitter = remote.jitter !== undefined ? remote.jitter * 1000 : null;
+
+          if (remote.roundTripTime !== undefined && stats.rtt === null) {
+            stats.rtt = remote.roundTripTime * 1000;
+          }
         }
-      };
+      }
 
-      // Create data channel for each peer
-      const dataChannel = peerConnection.createDataChannel('messages', {
-        ordered: true
-      });
-      
-      dataChannel.onopen = () => {
-        console.log(`Data channel opened with ${peerId}`);
-      };
-      
-      dataChannel.onmessage = (event) => {
-        console.log(`Received data from ${peerId}:`, event.data);
+      // Keep the highest-bitrate stream of each kind (e.g. when screen sharing)
+      const bucket = isInbound ? stats.inbound : stats.outbound;
+      if (!bucket[kind] || normalized.bitrate > bucket[kind].bitrate) {
+        bucket[kind] = normalized;
+      }
+    });
+
+    const pair = this.getSelectedCandidatePair(entries);
+    if (pair) {
+      const local = entries.get(pair.localCandidateId) || {};
+      const remote = entries.get(pair.remoteCandidateId) || {};
+
+      stats.candidatePair = {
+        local: this.describeCandidate(local),
+        remote: this.describeCandidate(remote),
+        availableOutgoingBitrate: pair.availableOutgoingBitrate || null
       };
-      
-      this.dataChannels.set(peerId, dataChannel);
 
-      return peerConnection;
-    } catch (error) {
-      console.error('Error creating peer connection:', error);
-      throw error;
+      if (pair.currentRoundTripTime !== undefined) {
+        stats.rtt = pair.currentRoundTripTime * 1000;
+      }
     }
-  }
 
-  async createOffer(peerId) {
-    try {
-      const peerConnection = this.peerConnections.get(peerId);
-      if (!peerConnection) return;
+    this.statsSnapshots.set(peerId, snapshot);
 
-      const offer = await peerConnection.createOffer({
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: true
-      });
+    return stats;
+  }
 
-      await peerConnection.setLocalDescription(offer);
-      
-      this.socket.emit('offer', {
-        targetId: peerId,
-        offer: offer,
-        streamType: 'camera'
-      });
-    } catch (error) {
-      console.error('Error creating offer:', error);
-    }
+  calculateBitrate(bytes, timestamp, previous) {
+    if (!previous || bytes === undefined || timestamp <= previous.timestamp) return 0;
+
+    // bits per second from the byte delta since the last sample
+    return Math.max(0, (bytes - previous.bytes) * 8 / ((timestamp - previous.timestamp) / 1000));
   }
 
-  async handleOffer(data) {
-    try {
-      const { fromId, offer, streamType } = data;
-      
-      let peerConnection = this.peerConnections.get(fromId);
-      if (!peerConnection) {
-        peerConnection = await this.createPeerConnection(fromId);
-      }
+  calculatePacketLoss(packets, packetsLost, previous) {
+    let received = packets || 0;
+    let lost = packetsLost || 0;
 
-      await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
-      
-      const answer = await peerConnection.createAnswer();
-      await peerConnection.setLocalDescription(answer);
-      
-      this.socket.emit('answer', {
-        targetId: fromId,
-        answer: answer,
-        streamType: streamType
-      });
-    } catch (error) {
-      console.error('Error handling offer:', error);
+    // Prefer the loss over the last interval, fall back to the cumulative figure
+    if (previous && previous.packets !== undefined) {
+      received -= previous.packets;
+      lost -= previous.packetsLost || 0;
     }
+
+    const total = received + lost;
+    return total > 0 ? Math.max(0, lost / total * 100) : 0;
   }
 
-  async handleAnswer(data) {
-    try {
-      const { fromId, answer } = data;
-      const peerConnection = this.peerConnections.get(fromId);
-      
-      if (peerConnection) {
-        await peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
+  getCodecName(entries, codecId) {
+    const codec = codecId && entries.get(codecId);
+    return codec ? codec.mimeType.split('/')[1] : null;
+  }
+
+  getSelectedCandidatePair(entries) {
+    for (const entry of entries.values()) {
+      if (entry.type === 'transport' && entry.selectedCandidatePairId) {
+        return entries.get(entry.selectedCandidatePairId);
       }
-    } catch (error) {
-      console.error('Error handling answer:', error);
     }
-  }
 
-  async handleIceCandidate(data) {
-    try {
-      const { fromId, candidate } = data;
-      const peerConnection = this.peerConnections.get(fromId);
-      
-      if (peerConnection) {
-        await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+    // Firefox flags the pair itself instead of reporting it on the transport
+    for (const entry of entries.values()) {
+      if (entry.type === 'candidate-pair' && (entry.selected || (entry.nominated && entry.state === 'succeeded'))) {
+        return entry;
       }
-    } catch (error) {
-      console.error('Error handling ICE candidate:', error);
     }
+
+    return null;
   }
 
-  handleRemoteStream(peerId, stream) {
-    console.log('Received remote stream from:', peerId);
-    
-    this.remoteStreams.set(peerId, stream);
-    this.createRemoteVideoElement(peerId, stream);
+  describeCandidate(candidate) {
+    return {
+      type: candidate.candidateType || null,
+      protocol: candidate.protocol || null,
+      address: candidate.address || candidate.ip || null,
+      port: candidate.port || null
+    };
   }
 
-  createRemoteVideoElement(peerId, stream) {
-    // Remove existing video element if it exists
-    this.removeRemoteVideo(peerId);
-    
-    const videoContainer = document.createElement('div');
-    videoContainer.className = 'remote-video-container';
-    videoContainer.id = `video-container-${peerId}`;
-    
-    const videoElement = document.createElement('video');
-    videoElement.id = `remote-video-${peerId}`;
-    videoElement.className = 'remote-video';
-    videoElement.autoplay = true;
-    videoElement.playsInline = true;
-    videoElement.muted = true; // Remote videos should be muted
-    videoElement.srcObject = stream;
-    
-    const nameLabel = document.createElement('div');
-    nameLabel.className = 'participant-name';
-    nameLabel.textContent = `Participant ${peerId.substring(0, 8)}`;
-    
-    const controlsContainer = document.createElement('div');
-    controlsContainer.className = 'video-controls';
-    
-    // Add audio/video indicators
-    const audioIndicator = document.createElement('div');
-    audioIndicator.className = 'audio-indicator';
-    audioIndicator.innerHTML = '🎤';
-    
-    const videoIndicator = document.createElement('div');
-    videoIndicator.className = 'video-indicator';
-    videoIndicator.innerHTML = '📹';
-    
-    controlsContainer.appendChild(audioIndicator);
-    controlsContainer.appendChild(videoIndicator);
-    
-    videoContainer.appendChild(videoElement);
-    videoContainer.appendChild(nameLabel);
-    videoContainer.appendChild(controlsContainer);
-    
-    this.remoteVideosContainer.appendChild(videoContainer);
+  toggleStatsOverlay(peerId) {
+    if (this.statsOverlayTimers.has(peerId)) {
+      this.stopStatsOverlay(peerId);
+      return false;
+    }
+
+    // Through an SFU these are the stats of the one connection everyone shares
+    const connectionId = this.transport.getConnectionId(peerId);
+    const update = async () => {
+      const overlay = document.querySelector(`#video-container-${peerId} .stats-overlay`);
+      const stats = await this.getConnectionStats(connectionId);
+      if (overlay && stats) {
+        overlay.innerHTML = (connectionId !== peerId ? '<div>via SFU (all participants)</div>' : '') +
+          this.formatStats(stats);
+      }
+    };
+
+    this.statsOverlayTimers.set(peerId, setInterval(update, 1000));
+    update();
+
+    const videoContainer = document.getElementById(`video-container-${peerId}`);
+    if (videoContainer) {
+      videoContainer.classList.add('show-stats');
+    }
+
+    return true;
   }
 
-  removeRemoteVideo(peerId) {
+  stopStatsOverlay(peerId) {
+    clearInterval(this.statsOverlayTimers.get(peerId));
+    this.statsOverlayTimers.delete(peerId);
+
     const videoContainer = document.getElementById(`video-container-${peerId}`);
     if (videoContainer) {
-      videoContainer.remove();
+      videoContainer.classList.remove('show-stats');
     }
-    
-    this.remoteStreams.delete(peerId);
+  }
+
+  formatStats(stats) {
+    const rows = [];
+    const formatBitrate = (bps) => bps >= 1000000
+      ? `${(bps / 1000000).toFixed(2)} Mbps`
+      : `${Math.round(bps / 1000)} kbps`;
+
+    const addMedia = (label, media) => {
+      if (!media) return;
+
+      let line = `${label}: ${formatBitrate(media.bitrate)}`;
+      if (media.codec) line += ` ${media.codec}`;
+      if (media.width && media.height) line += ` ${media.width}x${media.height}`;
+      if (media.frameRate) line += ` @${Math.round(media.frameRate)}fps`;
+      rows.push(line);
+
+      let quality = `  loss ${media.packetLoss.toFixed(1)}%`;
+      if (media.jitter !== null) quality += `, jitter ${Math.round(media.jitter)} ms`;
+      rows.push(quality);
+    };
+
+    addMedia('↓ video', stats.inbound.video);
+    addMedia('↓ audio', stats.inbound.audio);
+    addMedia('↑ video', stats.outbound.video);
+    addMedia('↑ audio', stats.outbound.audio);
+
+    if (stats.rtt !== null) {
+      rows.push(`rtt: ${Math.round(stats.rtt)} ms`);
+    }
+
+    if (stats.candidatePair) {
+      const { local, remote } = stats.candidatePair;
+      rows.push(`path: ${local.type}/${local.protocol} → ${remote.type}/${remote.protocol}`);
+    }
+
+    rows.push(`state: ${stats.connectionState}`);
+
+    return rows.map(row => `<div>${row}</div>`).join('');
   }
 
   handleRemoteVideoToggle(data) {
     const { participantId, hasVideo } = data;
-    const videoElement = document.getElementById(`remote-video-${participantId}`);
-    
-    if (videoElement) {
-      videoElement.style.display = hasVideo ? 'block' : 'none';
-    }
+    this.setParticipantInfo(participantId, { hasVideo });
   }
 
   handleRemoteAudioToggle(data) {
     const { participantId, hasAudio } = data;
-    const audioIndicator = document.querySelector(`#video-container-${participantId} .audio-indicator`);
-    
-    if (audioIndicator) {
-      audioIndicator.style.opacity = hasAudio ? '1' : '0.3';
-    }
+    this.setParticipantInfo(participantId, { hasAudio });
   }
 
   async toggleVideo() {
@@ -354,6 +2277,11 @@ class WebRTCClient {
       if (videoTrack) {
         videoTrack.enabled = !videoTrack.enabled;
         
+        // Keep the camera in step so its light goes off with the video
+        if (this.rawVideoTrack) {
+          this.rawVideoTrack.enabled = videoTrack.enabled;
+        }
+        
         this.socket.emit('toggle-video', {
           hasVideo: videoTrack.enabled
         });
@@ -364,6 +2292,33 @@ class WebRTCClient {
     return false;
   }
 
+  get localId() {
+    return this.participantId || this.socket.id;
+  }
+
+  get isVideoEnabled() {
+    const videoTrack = this.localStream && this.localStream.getVideoTracks()[0];
+    return !!(videoTrack && videoTrack.enabled);
+  }
+
+  // Let the room know if we joined muted or with the camera off
+  announceMediaState() {
+    if (!this.localStream) return;
+
+    if (!this.isAudioEnabled) {
+      this.socket.emit('toggle-audio', { hasAudio: false });
+    }
+    if (!this.isVideoEnabled) {
+      this.socket.emit('toggle-video', { hasVideo: false });
+    }
+  }
+
+  // Our own microphone, as used by the host's force-mute
+  get isAudioEnabled() {
+    const audioTrack = this.localStream && this.localStream.getAudioTracks()[0];
+    return !!(audioTrack && audioTrack.enabled);
+  }
+
   async toggleAudio() {
     if (this.localStream) {
       const audioTrack = this.localStream.getAudioTracks()[0];
@@ -380,29 +2335,54 @@ class WebRTCClient {
     return false;
   }
 
+  async toggleScreenShare() {
+    if (this.screenStream) {
+      await this.stopScreenShare();
+      return false;
+    }
+    return this.startScreenShare();
+  }
+
+  addScreenTracks(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    if (!peerConnection || !this.screenStream) return;
+
+    // Adding tracks fires negotiationneeded; flag the offer as a screen share
+    this.getNegotiationState(peerId).pendingStreamType = 'screen';
+
+    const senders = this.screenStream.getTracks().map(track => {
+      const sender = peerConnection.addTrack(track, this.screenStream);
+      this.encryptSender(peerConnection, sender, peerId);
+      return sender;
+    });
+    this.screenSenders.set(peerId, senders);
+  }
+
+  removeScreenTracks(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    const senders = this.screenSenders.get(peerId);
+    this.screenSenders.delete(peerId);
+
+    if (!peerConnection || !senders || peerConnection.signalingState === 'closed') return;
+
+    this.getNegotiationState(peerId).pendingStreamType = 'screen';
+    senders.forEach(sender => peerConnection.removeTrack(sender));
+  }
+
   async startScreenShare() {
     try {
       const screenStream = await this.getScreenStream();
-      
-      // Replace video track in all peer connections
       const videoTrack = screenStream.getVideoTracks()[0];
       
-      for (const [peerId, peerConnection] of this.peerConnections) {
-        const sender = peerConnection.getSenders().find(s => 
-          s.track && s.track.kind === 'video'
-        );
-        
-        if (sender) {
-          await sender.replaceTrack(videoTrack);
-        }
+      // Send the screen as an extra stream; the camera keeps going
+      for (const [peerId] of this.peerConnections) {
+        this.addScreenTracks(peerId);
       }
       
-      // Update local video
-      this.localVideoElement.srcObject = screenStream;
-      
-      // Handle screen share end
+      // Handle screen share end (browser's "Stop sharing" button)
       videoTrack.onended = () => {
         this.stopScreenShare();
+        document.dispatchEvent(new CustomEvent('screenShareEnded'));
       };
       
       this.socket.emit('screen-share', { isSharing: true });
@@ -410,30 +2390,21 @@ class WebRTCClient {
       return true;
     } catch (error) {
       console.error('Error starting screen share:', error);
+      this.screenStream = null;
       return false;
     }
   }
 
   async stopScreenShare() {
     try {
-      if (this.screenStream) {
-        this.screenStream.getTracks().forEach(track => track.stop());
-      }
-      
-      // Get camera stream back
-      const cameraStream = await this.getLocalStream();
-      const videoTrack = cameraStream.getVideoTracks()[0];
-      
-      // Replace screen track with camera track
-      for (const [peerId, peerConnection] of this.peerConnections) {
-        const sender = peerConnection.getSenders().find(s => 
-          s.track && s.track.kind === 'video'
-        );
-        
-        if (sender) {
-          await sender.replaceTrack(videoTrack);
-        }
+      if (!this.screenStream) return true;
+
+      for (const [peerId] of this.peerConnections) {
+        this.removeScreenTracks(peerId);
       }
+
+      this.screenStream.getTracks().forEach(track => track.stop());
+      this.screenStream = null;
       
       this.socket.emit('screen-share', { isSharing: false });
       
@@ -456,19 +2427,68 @@ class WebRTCClient {
       dataChannel.close();
       this.dataChannels.delete(peerId);
     }
+
+    this.messenger.handlePeerClosed(peerId);
+    this.videoPausedBy.delete(peerId);
+    this.lowBandwidthPeers.delete(peerId);
+    this.layerRequests.delete(peerId);
+    this.negotiationStates.delete(peerId);
+    this.screenSenders.delete(peerId);
+    this.remoteCameraStreamIds.delete(peerId);
+    this.remoteStreamTypes.delete(peerId);
+    this.pendingCandidates.delete(peerId);
+    this.candidateStats.delete(peerId);
+    this.statsSnapshots.delete(peerId);
+    this.stopStatsOverlay(peerId);
+    this.participantAudio.delete(peerId);
+
+    const recovery = this.peerRecovery.get(peerId);
+    if (recovery) {
+      clearTimeout(recovery.timer);
+      this.peerRecovery.delete(peerId);
+    }
   }
 
   disconnect() {
+    this.stopSpeakerDetection();
+    this.networkQuality.reset();
+    this.transport.stop();
+    this.lowBandwidth = false;
+    this.remoteVideosContainer.classList.remove('low-bandwidth');
+    if (this.localSfu) {
+      this.localSfu.stop();
+      this.localSfu = null;
+    }
+    this.videoGrid.destroy();
+    this.participantInfo.clear();
+    clearTimeout(this.iceRefreshTimer);
+
     // Close all peer connections
     for (const [peerId] of this.peerConnections) {
       this.closePeerConnection(peerId);
     }
     
+    if (this.videoProcessor) {
+      this.videoProcessor.stop();
+      this.videoProcessor = null;
+    }
+    
+    if (this.encryption) {
+      this.encryption.stop();
+      this.encryption = null;
+    }
+    this.decryptFailures.clear();
+    
     // Stop local streams
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => track.stop());
     }
     
+    if (this.rawVideoTrack) {
+      this.rawVideoTrack.stop();
+      this.rawVideoTrack = null;
+    }
+    
     if (this.screenStream) {
       this.screenStream.getTracks().forEach(track => track.stop());
     }
@@ -0,0 +1,28 @@
+#!/usr/bin/env bash
+# Fetches the pinned MediaPipe files background effects load from our own
+# origin (SEGMENTATION_ASSETS in js/config.js). Run from anywhere before deploying.
+set -euo pipefail
+
+VISION_VERSION=0.10.14
+MODEL_VERSION=1
+MODEL_URL="https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/${MODEL_VERSION}/selfie_segmenter.tflite"
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+DEST="$ROOT/vendor/mediapipe"
+VISION_DEST="$DEST/tasks-vision-$VISION_VERSION"
+
+# npm pack unpacks into a scratch directory, so nothing is left in the repo
+WORK="$(mktemp -d)"
+trap 'rm -rf "$WORK"' EXIT
+
+(cd "$WORK" && npm pack --silent "@mediapipe/tasks-vision@$VISION_VERSION" >/dev/null)
+tar xzf "$WORK"/mediapipe-tasks-vision-*.tgz -C "$WORK"
+
+rm -rf "$VISION_DEST"
+mkdir -p "$VISION_DEST"
+cp "$WORK/package/vision_bundle.mjs" "$VISION_DEST/"
+cp -r "$WORK/package/wasm" "$VISION_DEST/"
+
+curl -fsSL -o "$DEST/selfie_segmenter-float16-$MODEL_VERSION.tflite" "$MODEL_URL"
+
+echo "Segmentation assets are in $DEST"